@@ -0,0 +1,228 @@
+// annotate.js — annotation layer for the viewer
+// Shapes are kept in image pixel coordinates and drawn on an overlay canvas that follows
+// the imageview.js view; flatten() burns them into a full-resolution copy for export.
+(() => {
+    if (self.FPCAnnotate) return;
+
+    const TOOLS = ['rect', 'arrow', 'pen', 'text', 'highlight', 'step', 'pixelate', 'blur'];
+
+    // image: the <img> being annotated; host: positioned element the overlay covers;
+    // getView(): { left, top, scale } of the displayed image inside host
+    function create({ image, host, getView, onChange }) {
+        const overlay = document.createElement('canvas');
+        overlay.id = 'overlayCanvas';
+        overlay.style.cssText = 'position:absolute;left:0;top:0;z-index:5;pointer-events:none;touch-action:none';
+        host.appendChild(overlay);
+        const ctx = overlay.getContext('2d');
+
+        let tool = null;
+        let color = '#e53935';
+        let size = 4;
+        let stack = [[]]; // undo history: every entry is a full shape list
+        let at = 0;
+        let draft = null;
+        let viewKey = '';
+        let dirty = true;
+
+        const shapes = () => stack[at];
+
+        function commit(next) {
+            stack = stack.slice(0, at + 1);
+            stack.push(next);
+            at++;
+            dirty = true;
+            if (onChange) onChange();
+        }
+
+        function toImage(e) {
+            const r = overlay.getBoundingClientRect();
+            const v = getView();
+            return { x: (e.clientX - r.left - v.left) / v.scale, y: (e.clientY - r.top - v.top) / v.scale };
+        }
+
+        // ---------- input ----------
+        overlay.addEventListener('pointerdown', (e) => {
+            if (!tool) return;
+            e.preventDefault();
+            const p = toImage(e);
+            const base = { type: tool, color, size };
+
+            if (tool === 'text') {
+                const text = prompt('Label text');
+                if (text) commit([...shapes(), { ...base, x: p.x, y: p.y, text }]);
+                return;
+            }
+            if (tool === 'step') {
+                const n = shapes().filter((s) => s.type === 'step').length + 1;
+                commit([...shapes(), { ...base, x: p.x, y: p.y, n }]);
+                return;
+            }
+            overlay.setPointerCapture(e.pointerId);
+            draft = tool === 'pen' || tool === 'highlight'
+                ? { ...base, points: [p] }
+                : { ...base, x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+        });
+
+        overlay.addEventListener('pointermove', (e) => {
+            if (!draft) return;
+            const p = toImage(e);
+            if (draft.points) draft.points.push(p);
+            else { draft.x1 = p.x; draft.y1 = p.y; }
+            dirty = true;
+        });
+
+        const finish = () => {
+            if (!draft) return;
+            const d = draft;
+            draft = null;
+            const tiny = d.points ? d.points.length < 2 : Math.abs(d.x1 - d.x0) < 3 && Math.abs(d.y1 - d.y0) < 3;
+            if (tiny) { dirty = true; return; }
+            commit([...shapes(), d]);
+        };
+        overlay.addEventListener('pointerup', finish);
+        overlay.addEventListener('pointercancel', finish);
+
+        // ---------- render ----------
+        function frame() {
+            const w = host.clientWidth, h = host.clientHeight;
+            const v = getView();
+            const key = `${w}x${h}:${v.left},${v.top},${v.scale}`;
+            if (key !== viewKey || dirty) {
+                viewKey = key;
+                dirty = false;
+                if (overlay.width !== w || overlay.height !== h) { overlay.width = w; overlay.height = h; }
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.clearRect(0, 0, w, h);
+                ctx.setTransform(v.scale, 0, 0, v.scale, v.left, v.top);
+                for (const s of shapes()) drawShape(ctx, s, image);
+                if (draft) drawShape(ctx, draft, image);
+            }
+            requestAnimationFrame(frame);
+        }
+        requestAnimationFrame(frame);
+
+        return {
+            TOOLS,
+            setTool(t) {
+                tool = TOOLS.includes(t) ? t : null;
+                overlay.style.pointerEvents = tool ? 'auto' : 'none';
+                overlay.style.cursor = tool ? 'crosshair' : '';
+            },
+            getTool: () => tool,
+            setColor(c) { color = c; },
+            setSize(n) { size = Number(n) || 4; },
+            canUndo: () => at > 0,
+            canRedo: () => at < stack.length - 1,
+            undo() { if (at > 0) { at--; dirty = true; if (onChange) onChange(); } },
+            redo() { if (at < stack.length - 1) { at++; dirty = true; if (onChange) onChange(); } },
+            isEmpty: () => shapes().length === 0,
+            // Full-resolution canvas with the annotations burned in
+            flatten() {
+                const c = document.createElement('canvas');
+                c.width = image.naturalWidth;
+                c.height = image.naturalHeight;
+                const cx = c.getContext('2d');
+                cx.drawImage(image, 0, 0);
+                for (const s of shapes()) drawShape(cx, s, image);
+                return c;
+            }
+        };
+    }
+
+    // ---------- shapes ----------
+    function box(s) {
+        return { x: Math.min(s.x0, s.x1), y: Math.min(s.y0, s.y1), w: Math.abs(s.x1 - s.x0), h: Math.abs(s.y1 - s.y0) };
+    }
+
+    function drawShape(ctx, s, img) {
+        ctx.save();
+        ctx.strokeStyle = ctx.fillStyle = s.color;
+        ctx.lineWidth = s.size;
+        ctx.lineCap = ctx.lineJoin = 'round';
+
+        switch (s.type) {
+            case 'rect': {
+                const b = box(s);
+                ctx.strokeRect(b.x, b.y, b.w, b.h);
+                break;
+            }
+            case 'arrow': {
+                const angle = Math.atan2(s.y1 - s.y0, s.x1 - s.x0);
+                const head = Math.max(12, s.size * 4);
+                ctx.beginPath();
+                ctx.moveTo(s.x0, s.y0);
+                ctx.lineTo(s.x1 - Math.cos(angle) * head * 0.8, s.y1 - Math.sin(angle) * head * 0.8);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(s.x1, s.y1);
+                ctx.lineTo(s.x1 - head * Math.cos(angle - Math.PI / 7), s.y1 - head * Math.sin(angle - Math.PI / 7));
+                ctx.lineTo(s.x1 - head * Math.cos(angle + Math.PI / 7), s.y1 - head * Math.sin(angle + Math.PI / 7));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'pen':
+            case 'highlight': {
+                if (s.type === 'highlight') {
+                    ctx.globalAlpha = 0.35;
+                    ctx.lineWidth = s.size * 5;
+                    ctx.lineCap = 'square';
+                }
+                ctx.beginPath();
+                s.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                ctx.stroke();
+                break;
+            }
+            case 'text': {
+                ctx.font = `600 ${Math.max(14, s.size * 5)}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+                ctx.textBaseline = 'top';
+                ctx.lineWidth = Math.max(3, s.size);
+                ctx.strokeStyle = '#fff';
+                ctx.strokeText(s.text, s.x, s.y);
+                ctx.fillText(s.text, s.x, s.y);
+                break;
+            }
+            case 'step': {
+                const r = Math.max(12, s.size * 3 + 6);
+                ctx.beginPath();
+                ctx.arc(s.x, s.y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#fff';
+                ctx.font = `700 ${Math.round(r * 1.1)}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(s.n), s.x, s.y + 1);
+                break;
+            }
+            case 'pixelate': {
+                const b = box(s);
+                if (b.w < 1 || b.h < 1) break;
+                const block = Math.max(6, s.size * 3);
+                const small = document.createElement('canvas');
+                small.width = Math.max(1, Math.round(b.w / block));
+                small.height = Math.max(1, Math.round(b.h / block));
+                small.getContext('2d').drawImage(img, b.x, b.y, b.w, b.h, 0, 0, small.width, small.height);
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(small, 0, 0, small.width, small.height, b.x, b.y, b.w, b.h);
+                break;
+            }
+            case 'blur': {
+                const b = box(s);
+                if (b.w < 1 || b.h < 1) break;
+                const radius = Math.max(6, s.size * 3);
+                ctx.beginPath();
+                ctx.rect(b.x, b.y, b.w, b.h);
+                ctx.clip();
+                // opaque backing first so the blurred edges don't let the original show through
+                ctx.drawImage(img, b.x, b.y, b.w, b.h, b.x, b.y, b.w, b.h);
+                ctx.filter = `blur(${radius}px)`;
+                const pad = radius * 2;
+                ctx.drawImage(img, b.x - pad, b.y - pad, b.w + 2 * pad, b.h + 2 * pad, b.x - pad, b.y - pad, b.w + 2 * pad, b.h + 2 * pad);
+                break;
+            }
+        }
+        ctx.restore();
+    }
+
+    self.FPCAnnotate = { TOOLS, create };
+})();
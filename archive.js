@@ -0,0 +1,194 @@
+// archive.js — single-file HTML record of the page, taken at the moment of a capture
+// - snapshot(): synchronous clone of the live DOM (form state, canvases, CSSOM rules), minus the
+//   elements the capture hid; masked (redacted) content is blanked, scripts and handlers dropped
+// - serialize(): inlines stylesheets, images and fonts as data: URLs and returns the HTML text
+// Loaded by the content script (injected by background.js, which fetches the resources).
+
+(() => {
+  if (self.FPCArchive) return;
+
+  const MASK_CHAR = '█';
+  const DROP = new Set(['script', 'noscript', 'template']);
+  const URL_IN_CSS = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+  // opts: { exclude: Element[] left out, masked(el) → true for redacted elements }
+  // Returns { root, sheets } for serialize(); the live page is not touched.
+  function snapshot({ exclude = [], masked = () => false } = {}) {
+    const skip = new Set(exclude);
+    const root = document.documentElement.cloneNode(true);
+    const sheets = [];                  // [{ el, chunks: [{ text, base }] | null, href, media }]
+    const drops = [], blanks = [], canvases = [];
+
+    // the clone has the same structure: walk both trees side by side, change the clone afterwards
+    const src = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_ELEMENT);
+    const dst = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let a = src.currentNode, b = dst.currentNode; a && b; a = src.nextNode(), b = dst.nextNode()) {
+      const tag = a.localName;
+      if (skip.has(a) || DROP.has(tag) || (tag === 'source' && a.parentElement?.localName === 'picture')) { drops.push(b); continue; }
+      if (masked(a)) blanks.push(b);
+
+      for (const attr of Array.from(b.attributes)) {
+        if (/^on/i.test(attr.name)) b.removeAttribute(attr.name);
+      }
+      if (tag === 'a' || tag === 'area') {
+        if (/^\s*javascript:/i.test(a.getAttribute('href') || '')) b.setAttribute('href', '#');
+        else if (a.hasAttribute('href')) b.setAttribute('href', a.href);
+      } else if (tag === 'img') {
+        if (a.currentSrc) b.setAttribute('src', a.currentSrc);
+        b.removeAttribute('srcset');
+        b.removeAttribute('sizes');
+        b.removeAttribute('loading');
+      } else if (tag === 'input') {
+        if (a.type === 'checkbox' || a.type === 'radio') b.toggleAttribute('checked', a.checked);
+        else if (a.type !== 'password' && a.type !== 'file') b.setAttribute('value', a.value);
+      } else if (tag === 'textarea') {
+        b.textContent = a.value;
+      } else if (tag === 'option') {
+        b.toggleAttribute('selected', a.selected);
+      } else if (tag === 'canvas') {
+        canvases.push([a, b]);
+      } else if (tag === 'iframe' && a.hasAttribute('src')) {
+        b.setAttribute('src', a.src);
+      } else if (tag === 'style') {
+        sheets.push({ el: b, chunks: cssChunks(a.sheet, document.baseURI), href: null, media: a.media });
+      } else if (tag === 'link') {
+        const rel = (a.rel || '').toLowerCase();
+        if (rel.split(/\s+/).includes('stylesheet') && !a.disabled) {
+          sheets.push({ el: b, chunks: cssChunks(a.sheet, a.href), href: a.href, media: a.media });
+        } else if (!/\bicon\b/.test(rel)) {
+          drops.push(b); // preload/prefetch/manifest/...: nothing to keep offline
+        } else {
+          b.setAttribute('href', a.href);
+        }
+      }
+    }
+
+    for (const [a, b] of canvases) {
+      try {
+        const img = document.createElement('img');
+        img.src = a.toDataURL();
+        img.width = a.width;
+        img.height = a.height;
+        if (b.getAttribute('style')) img.setAttribute('style', b.getAttribute('style'));
+        if (b.className) img.className = b.className;
+        b.replaceWith(img);
+      } catch {} // tainted canvas: stays empty
+    }
+    for (const b of blanks) {
+      if (b.localName === 'input' || b.localName === 'textarea') {
+        b.setAttribute('value', '');
+        b.textContent = '';
+      } else {
+        b.textContent = MASK_CHAR.repeat(Math.min(40, Math.max(1, b.textContent.length)));
+      }
+    }
+    drops.forEach(b => b.remove());
+
+    // constructed stylesheets (CSS-in-JS) have no element of their own
+    for (const sheet of document.adoptedStyleSheets || []) {
+      const el = document.createElement('style');
+      root.querySelector('head')?.appendChild(el);
+      sheets.push({ el, chunks: cssChunks(sheet, document.baseURI), href: null, media: '' });
+    }
+    return { root, sheets };
+  }
+
+  // The rules as the page has them now (insertRule included), split into chunks with the URL their
+  // relative url()s resolve against; null when the sheet is cross-origin and has to be fetched.
+  function cssChunks(sheet, base) {
+    if (!sheet) return null;
+    let rules;
+    try { rules = sheet.cssRules; } catch { return null; }
+    const chunks = [];
+    let text = '';
+    for (const rule of rules) {
+      if (rule instanceof CSSImportRule && rule.styleSheet) {
+        if (text) chunks.push({ text, base });
+        text = '';
+        const inner = cssChunks(rule.styleSheet, rule.styleSheet.href || base);
+        if (inner) chunks.push(...inner.map(c => rule.media.mediaText ? { ...c, text: `@media ${rule.media.mediaText} {\n${c.text}\n}` } : c));
+        else chunks.push({ text: rule.cssText, base });
+      } else {
+        text += rule.cssText + '\n';
+      }
+    }
+    if (text) chunks.push({ text, base });
+    return chunks;
+  }
+
+  // fetchResource(url) → data: URL or null. Resolves with the HTML text of the archive.
+  // meta: { url, createdAt } for the "saved from" header.
+  async function serialize({ root, sheets }, fetchResource, meta) {
+    const cache = new Map();
+    const inline = (url) => {
+      if (!url || /^(data:|#)/i.test(url)) return Promise.resolve(null);
+      if (!cache.has(url)) cache.set(url, fetchResource(url).catch(() => null));
+      return cache.get(url);
+    };
+    const absolute = (url, base) => {
+      try { return new URL(url, base).href; } catch { return null; }
+    };
+    async function inlineCss(text, base) {
+      const urls = [...new Set(Array.from(text.matchAll(URL_IN_CSS), m => m[2].trim()))];
+      const found = new Map();
+      await Promise.all(urls.map(async (u) => {
+        const abs = absolute(u, base);
+        found.set(u, (await inline(abs)) || abs);
+      }));
+      return text.replace(URL_IN_CSS, (m, q, u) => (found.get(u.trim()) ? `url("${found.get(u.trim())}")` : m));
+    }
+
+    for (const s of sheets) {
+      let chunks = s.chunks;
+      if (!chunks && s.href) {
+        const dataUrl = await inline(s.href);
+        const text = dataUrl ? await (await fetch(dataUrl)).text() : '';
+        chunks = text ? [{ text, base: s.href }] : [];
+      }
+      const css = (await Promise.all((chunks || []).map(c => inlineCss(c.text, c.base)))).join('\n');
+      const style = document.createElement('style');
+      if (s.media) style.media = s.media;
+      style.textContent = css;
+      s.el.replaceWith(style);
+    }
+
+    await Promise.all([
+      ...Array.from(root.querySelectorAll('img[src], input[type="image"][src]'), async (el) => {
+        const data = await inline(absolute(el.getAttribute('src'), document.baseURI));
+        if (data) el.setAttribute('src', data);
+      }),
+      ...Array.from(root.querySelectorAll('video[poster]'), async (el) => {
+        const data = await inline(absolute(el.getAttribute('poster'), document.baseURI));
+        if (data) el.setAttribute('poster', data);
+      }),
+      ...Array.from(root.querySelectorAll('link[href]'), async (el) => {
+        const data = await inline(absolute(el.getAttribute('href'), document.baseURI));
+        if (data) el.setAttribute('href', data);
+      }),
+      ...Array.from(root.querySelectorAll('[style*="url("]'), async (el) => {
+        el.setAttribute('style', await inlineCss(el.getAttribute('style'), document.baseURI));
+      })
+    ]);
+
+    // a static record: nothing in it may run or call home
+    const head = root.querySelector('head') || root.insertBefore(document.createElement('head'), root.firstChild);
+    head.querySelectorAll('base, meta[http-equiv]').forEach(el => el.remove());
+    const csp = document.createElement('meta');
+    csp.httpEquiv = 'Content-Security-Policy';
+    csp.content = "script-src 'none'; connect-src 'none'";
+    const gen = document.createElement('meta');
+    gen.name = 'generator';
+    gen.content = 'Full Page Capture';
+    head.prepend(csp, gen);
+    if (!head.querySelector('meta[charset]')) {
+      const charset = document.createElement('meta');
+      charset.setAttribute('charset', 'utf-8');
+      head.prepend(charset);
+    }
+
+    const from = String(meta.url).replace(/--/g, '%2D%2D');
+    return `<!DOCTYPE html>\n<!-- saved from ${from} at ${new Date(meta.createdAt).toISOString()} -->\n${root.outerHTML}\n`;
+  }
+
+  self.FPCArchive = { snapshot, serialize };
+})();
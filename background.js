@@ -1,17 +1,44 @@
 // background.js
 // Integrates with your merged contentScript.js that:
-//  - listens for { action: 'start-capture' } to begin
-//  - calls chrome.runtime.sendMessage({ action: 'capture-visible' }) to request captures
+//  - listens for the START_ACTIONS (full page, visible, region, element, selection, scroll area) to begin
+//  - calls chrome.runtime.sendMessage({ action: 'capture-visible' }) to request captures; the tiles go
+//    straight to the offscreen tile pipeline (offscreen.html, pipeline.js), the page only gets their size
+//  - asks that pipeline for the stitched output ({ action: 'pipeline-deliver' }), which downloads it
+//    and stores it in the IndexedDB history (history.js)
+//  - reports progress with { action: 'capture-progress' } and the outcome with { action: 'capture-done' }
+//    (kept per tab and re-broadcast to the popup as 'capture-status'; batch runs wait on capture-done)
+// Watched pages (watches.html) are captured on their schedule through chrome.alarms.
+// Allowlisted extensions and localhost pages can run captures through the external API (onMessageExternal).
+
+import './history.js';
+import './settings.js';
+import './imagediff.js';
+import './schedule.js';
+
+// Effective settings (synced + per-site, settings.js) of the capture running in each tab
+const runSettings = new Map();
+
+// Latest progress / outcome of the capture in each tab: { running, phase, text, tiles, total, paused, id?, error? }
+const captureStatus = new Map();
+
+// The popup listens for these; nobody listening (popup closed) is fine
+function publishStatus(tabId, status) {
+  captureStatus.set(tabId, status);
+  chrome.runtime.sendMessage({ action: 'capture-status', tabId, status }).catch(() => {});
+}
 
 // Helper: captureVisibleTab with retries
-async function captureVisibleWithRetries(maxRetries = 3, delayMs = 250) {
+// format: 'jpeg' (q95) for JPEG output, 'png' for lossless outputs (PNG/WebP/PDF)
+// windowId: the window of the capturing tab (null: the current window)
+async function captureVisibleWithRetries(maxRetries = 3, delayMs = 250, format = 'jpeg', windowId = null) {
   if (!chrome.tabs || typeof chrome.tabs.captureVisibleTab !== 'function') {
     throw new Error('chrome.tabs.captureVisibleTab is not available in this context');
   }
   let lastErr = null;
   for (let i = 0; i < maxRetries; i++) {
     try {
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'jpeg', quality: 95 });
+      const opts = format === 'png' ? { format: 'png' } : { format: 'jpeg', quality: 95 };
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, opts);
       if (!dataUrl) throw new Error('captureVisibleTab returned empty dataUrl');
       return dataUrl;
     } catch (err) {
@@ -23,12 +50,899 @@ async function captureVisibleWithRetries(maxRetries = 3, delayMs = 250) {
   throw lastErr || new Error('captureVisibleTab failed after retries');
 }
 
+// Helper: inject the shared modules + contentScript.js (MV3 runtime injection); all guard against double install
+async function injectContentScript(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      // every frame gets a copy: subframes report their content size for the frame expansion
+      target: { tabId, allFrames: true },
+      files: ['exporter.js', 'settings.js', 'imagediff.js', 'archive.js', 'contentScript.js']
+    });
+  } catch (injErr) {
+    console.error('[background] injection failed:', injErr);
+    // If contentScript was already registered statically via manifest content_scripts, injection may fail - still try to message
+  }
+  // Give the page a small tick to register listeners (optional)
+  await new Promise((r) => setTimeout(r, 60));
+}
+
+// Helper: promise wrapper around chrome.tabs.sendMessage that surfaces lastError.
+// Only the top frame runs captures; the subframe copies of the content script just answer it.
+function sendToTab(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (resp) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(resp);
+    });
+  });
+}
+
+const MAX_SINGLE_SHOT_PX = 16384;
+
+// DevTools Protocol engine: attach chrome.debugger, grow the device metrics to the full
+// content height and take a single Page.captureScreenshot with captureBeyondViewport.
+// Throws if the debugger cannot attach (DevTools already open, restricted page, ...).
+async function captureWithDebugger(tabId, format = 'jpeg') {
+  if (!chrome.debugger || typeof chrome.debugger.attach !== 'function') {
+    throw new Error('chrome.debugger is not available in this context');
+  }
+  const target = { tabId };
+  await chrome.debugger.attach(target, '1.3');
+  try {
+    const metrics = await chrome.debugger.sendCommand(target, 'Page.getLayoutMetrics');
+    const content = metrics.cssContentSize || metrics.contentSize;
+    const layout = metrics.cssLayoutViewport || metrics.layoutViewport;
+    const { result } = await chrome.debugger.sendCommand(target, 'Runtime.evaluate', {
+      expression: 'window.devicePixelRatio',
+      returnByValue: true
+    });
+    const width = Math.ceil(layout.clientWidth);
+    const height = Math.ceil(Math.max(content.height, layout.clientHeight));
+    const dpr = (result && result.value) || 1;
+    // the compositor cannot produce a single surface past the GPU texture limit; the scroll/stitch
+    // path splits such pages into parts instead
+    if (height * dpr > MAX_SINGLE_SHOT_PX) {
+      throw new Error(`page is ${Math.round(height * dpr)}px tall, over the ${MAX_SINGLE_SHOT_PX}px single-shot limit`);
+    }
+
+    await chrome.debugger.sendCommand(target, 'Emulation.setDeviceMetricsOverride', {
+      width,
+      height,
+      deviceScaleFactor: dpr,
+      mobile: false
+    });
+    // let the page re-layout and lazy content in the newly "visible" area kick in
+    await new Promise((r) => setTimeout(r, 500));
+
+    const shot = await chrome.debugger.sendCommand(target, 'Page.captureScreenshot', {
+      ...(format === 'png' ? { format: 'png' } : { format: 'jpeg', quality: 95 }),
+      captureBeyondViewport: true,
+      fromSurface: true
+    });
+    if (!shot || !shot.data) throw new Error('Page.captureScreenshot returned no data');
+    return `data:image/${format};base64,` + shot.data;
+  } finally {
+    try { await chrome.debugger.sendCommand(target, 'Emulation.clearDeviceMetricsOverride'); } catch (_) {}
+    try { await chrome.debugger.detach(target); } catch (_) {}
+  }
+}
+
+// ---------- responsive (device presets) ----------
+// Tabs whose viewport is emulated through chrome.debugger: their tiles come from
+// Page.captureScreenshot, which renders the emulated viewport at the emulated pixel ratio.
+const emulatedTabs = new Set();
+
+async function captureViewportWithDebugger(tabId, format = 'jpeg') {
+  const shot = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+    ...(format === 'png' ? { format: 'png' } : { format: 'jpeg', quality: 95 }),
+    fromSurface: true
+  });
+  if (!shot || !shot.data) throw new Error('Page.captureScreenshot returned no data');
+  return `data:image/${format};base64,` + shot.data;
+}
+
+// Capture the page once per device preset (settings.js DEVICE_PRESETS) with the normal
+// scroll/stitch flow, then optionally deliver a contact sheet of all of them.
+// msg: { presets?: string[], contactSheet?, output?, redact? }; defaults come from the synced settings.
+// Throws when the run cannot start (page, presets, debugger attach); otherwise resolves with
+// { presets, finished } where `finished` settles with the per-device results.
+async function startResponsiveCapture(tab, msg) {
+  if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome.google.com/webstore')) {
+    throw new Error('Cannot inject into this page (internal/webstore).');
+  }
+  const prefs = (await self.FPCSettings.load()).responsive;
+  const ids = msg.presets || prefs.presets;
+  const presets = self.FPCSettings.DEVICE_PRESETS.filter((p) => ids.includes(p.id));
+  if (!presets.length) throw new Error('No device preset selected');
+  const contactSheet = msg.contactSheet !== undefined ? !!msg.contactSheet : prefs.contactSheet;
+
+  const target = { tabId: tab.id };
+  await chrome.debugger.attach(target, '1.3');
+  emulatedTabs.add(tab.id);
+  return { presets, finished: runDevicePresets(tab, target, presets, contactSheet, msg) };
+}
+
+async function runDevicePresets(tab, target, presets, contactSheet, msg) {
+  const results = [];
+  try {
+    for (const p of presets) {
+      const label = `${p.label} ${p.width}`;
+      try {
+        await chrome.debugger.sendCommand(target, 'Emulation.setDeviceMetricsOverride', {
+          width: p.width,
+          height: p.height,
+          deviceScaleFactor: p.dpr,
+          mobile: p.mobile
+        });
+        // media queries, srcset and lazy loaders react to the new viewport
+        await new Promise((r) => setTimeout(r, 800));
+        const done = waitForCaptureDone(tab.id, BATCH_CAPTURE_TIMEOUT_MS);
+        const resp = await startCaptureInTab(tab, {
+          action: 'start-capture',
+          engine: 'scroll',
+          output: msg.output,
+          redact: msg.redact,
+          device: { id: p.id, label, width: p.width, height: p.height, dpr: p.dpr, mobile: p.mobile },
+          contactSheet
+        });
+        if (!resp.success) captureWaiters.get(tab.id)?.({ success: false, error: resp.error });
+        const res = await done;
+        results.push({ label, ...res });
+      } catch (err) {
+        results.push({ label, success: false, error: err && err.message ? err.message : String(err) });
+      }
+    }
+  } finally {
+    emulatedTabs.delete(tab.id);
+    try { await chrome.debugger.sendCommand(target, 'Emulation.clearDeviceMetricsOverride'); } catch (_) {}
+    try { await chrome.debugger.detach(target); } catch (_) {}
+  }
+
+  const ok = results.filter((r) => r.success);
+  if (contactSheet && ok.length) {
+    const done = waitForCaptureDone(tab.id, BATCH_CAPTURE_TIMEOUT_MS);
+    const synced = (await self.FPCSettings.resolve(new URL(tab.url).hostname)).output;
+    await sendToTab(tab.id, { action: 'deliver-contact-sheet', output: { ...synced, ...(msg.output || {}) } });
+    const res = await done;
+    if (!res.success) results.push({ label: 'contact sheet', ...res });
+  }
+  const failed = results.filter((r) => !r.success);
+  const text = failed.length
+    ? `Captured ${ok.length} of ${presets.length} devices. Failed: ` + failed.map((r) => `${r.label} (${r.error})`).join(', ')
+    : `Captured ${ok.length} device size${ok.length === 1 ? '' : 's'}` + (contactSheet ? ' and a contact sheet.' : '.');
+  await sendToTab(tab.id, { action: 'notify', text }).catch(() => {});
+  return results;
+}
+
+// Tiles are only captured lossy when the output itself is JPEG
+function tileFormat(output) {
+  return output && output.format && output.format !== 'jpeg' ? 'png' : 'jpeg';
+}
+
+// ---------- tile pipeline ----------
+// Tiles are decoded, hashed and stitched in an offscreen document (pipeline.js), not in the page:
+// capture-visible hands each tile to it and the content script refers to tiles by index.
+// Messages for it carry target: 'offscreen'; its downloads come back here (chrome.downloads).
+const PIPELINE_ACTIONS = ['pipeline-compose-row', 'pipeline-deliver', 'pipeline-close'];
+let offscreenReady = null;
+// Pipeline sessions of each tab: { run, sheet } (the running capture's tiles, and the device captures
+// a responsive run keeps for its contact sheet). The content script closes them when it is done; a
+// session it can no longer close (tab closed or navigated, replaced by the next one) is closed here.
+const tabSessions = new Map();
+
+// A download name without folders or characters the file system (or chrome.downloads) refuses
+function safeFilename(name) {
+  const base = String(name || '').split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f<>:"|?*~]/g, '_')
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+  return base || 'capture';
+}
+
+async function ensureOffscreen() {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const existing = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (existing.length) return;
+  if (!offscreenReady) {
+    offscreenReady = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Decode, hash and stitch capture tiles off the captured page'
+    }).finally(() => { offscreenReady = null; });
+  }
+  await offscreenReady;
+}
+
+async function toPipeline(message) {
+  await ensureOffscreen();
+  const res = await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+  if (!res) throw new Error('tile pipeline did not answer');
+  return res;
+}
+
+function trackSession(tabId, kind, session) {
+  const held = tabSessions.get(tabId) || {};
+  if (held[kind] === session) return;
+  if (held[kind]) toPipeline({ action: 'pipeline-close', session: held[kind] }).catch(() => {});
+  tabSessions.set(tabId, { ...held, [kind]: session });
+}
+
+// keep: the sessions the page still uses ({ run, sheet }, see contentScript.js capture-sessions)
+function dropTabSessions(tabId, keep = {}) {
+  const held = tabSessions.get(tabId);
+  if (!held) return;
+  for (const kind of ['run', 'sheet']) {
+    if (!held[kind] || keep[kind] === held[kind]) continue;
+    toPipeline({ action: 'pipeline-close', session: held[kind] }).catch(() => {});
+    delete held[kind];
+  }
+  if (!held.run && !held.sheet) tabSessions.delete(tabId);
+}
+
+// One captured tile into the pipeline session; resolves with { success, index, width, height, hash }
+async function addTile(session, dataUrl) {
+  const res = await toPipeline({ action: 'pipeline-add', session, dataUrl });
+  if (!res.success) throw new Error(res.error || 'tile pipeline failed');
+  return res;
+}
+
+// popup/commands/menus -> background actions that start a capture in a tab; forwarded as-is to the content script
+const START_ACTIONS = ['start-capture', 'start-visible-capture', 'start-region-capture', 'start-element-capture', 'start-selection-capture', 'start-pane-capture'];
+
+// The capture pipeline shared by the popup, keyboard commands and context menus.
+// msg: { action, engine?, output?, redact?, useContextTarget?, selector?, batch?, device?, contactSheet? }; popup-only fields fall back to
+// the stored preferences. Resolves with the response object the popup expects.
+async function startCaptureInTab(tab, msg) {
+  // do not run on internal chrome pages or webstore
+  if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome.google.com/webstore')) {
+    return { success: false, error: 'Cannot inject into this page (internal/webstore).' };
+  }
+
+  await injectContentScript(tab.id);
+
+  const settings = await self.FPCSettings.resolve(new URL(tab.url).hostname);
+  runSettings.set(tab.id, settings);
+  // popup output fields over the synced ones (metadata / text layer are only set in the options)
+  const output = { ...settings.output, ...(msg.output || {}) };
+  const prefs = await chrome.storage.local.get(['fpc_engine', 'fpc_redact']);
+  const engine = msg.engine || prefs.fpc_engine || 'scroll';
+  const redact = msg.redact !== undefined ? msg.redact : prefs.fpc_redact || undefined;
+
+  // DevTools engine: one-shot capture, handed to the content script for output.
+  // Falls back to the scroll/stitch path below when the debugger cannot attach.
+  if (engine === 'debugger' && msg.action === 'start-capture') {
+    try {
+      let dataUrl;
+      if (redact) await sendToTab(tab.id, { action: 'redact-apply', redact });
+      try {
+        dataUrl = await captureWithDebugger(tab.id, tileFormat(output));
+      } finally {
+        if (redact) await sendToTab(tab.id, { action: 'redact-restore' }).catch(() => {});
+      }
+      // from here on the shot is in the pipeline: a page that does not take it over (a capture is
+      // already running, the tab went away) gets the error, not the scroll/stitch fallback
+      const session = crypto.randomUUID();
+      trackSession(tab.id, 'run', session);
+      try {
+        const tile = await addTile(session, dataUrl);
+        const resp = await sendToTab(tab.id, { action: 'deliver-capture', session, tile, output, batch: !!msg.batch });
+        if (!resp || !resp.accepted) throw new Error((resp && resp.error) || 'capture rejected by page');
+      } catch (err) {
+        toPipeline({ action: 'pipeline-close', session }).catch(() => {});
+        return { success: false, engine: 'debugger', error: err && err.message ? err.message : String(err) };
+      }
+      return { success: true, engine: 'debugger', info: 'captured via DevTools Protocol' };
+    } catch (dbgErr) {
+      console.warn('[background] debugger capture failed, falling back to scroll/stitch:', dbgErr && dbgErr.message ? dbgErr.message : dbgErr);
+    }
+  }
+
+  // Send message to content script to begin capture (content script listens for the START_ACTIONS)
+  try {
+    const ack = await sendToTab(tab.id, {
+      action: msg.action,
+      output,
+      redact,
+      cfg: settings.capture,
+      bands: settings.bands,
+      useContextTarget: !!msg.useContextTarget,
+      selector: msg.selector,
+      batch: !!msg.batch,
+      device: msg.device,
+      contactSheet: !!msg.contactSheet
+    });
+    if (ack && ack.accepted === false) return { success: false, error: ack.error || 'capture rejected by page' };
+  } catch (sendErr) {
+    console.error('[background] sendMessage to content script failed:', sendErr.message);
+    return { success: false, error: sendErr.message };
+  }
+  return { success: true, engine: 'scroll', info: 'capture started in page' };
+}
+
+// Keyboard commands (manifest "commands") and context-menu items -> start action
+const COMMAND_ACTIONS = {
+  'capture-full-page': 'start-capture',
+  'capture-visible': 'start-visible-capture',
+  'capture-element': 'start-element-capture',
+  'capture-selection': 'start-selection-capture'
+};
+
+const MENU_ITEMS = [
+  { id: 'capture-full-page', title: 'Capture full page', contexts: ['page', 'frame', 'link', 'image', 'video', 'editable', 'selection'] },
+  { id: 'capture-visible', title: 'Capture visible area', contexts: ['page', 'frame', 'link', 'image', 'video', 'editable', 'selection'] },
+  { id: 'capture-element', title: 'Capture this element', contexts: ['page', 'frame', 'link', 'image', 'video', 'editable', 'selection'] },
+  { id: 'capture-selection', title: 'Capture selection', contexts: ['selection'] }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of MENU_ITEMS) chrome.contextMenus.create(item);
+  });
+  syncWatchAlarms().catch((err) => console.error('[background] watch alarms:', err));
+});
+
+function reportStartFailure(resp) {
+  if (resp && !resp.success) console.error('[background] capture could not start:', resp.error);
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  startCaptureInTab(tab, { action }).then(reportStartFailure, (err) => console.error('[background] command failed:', err));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const action = COMMAND_ACTIONS[info.menuItemId];
+  if (!action || !tab) return;
+  // "Capture this element" uses the node under the right-click (recorded by contextTarget.js)
+  startCaptureInTab(tab, { action, useContextTarget: action === 'start-element-capture' })
+    .then(reportStartFailure, (err) => console.error('[background] context menu capture failed:', err));
+});
+
+// ---------- page archives ----------
+// Next to the image, a full-page capture can save the page itself (output.archive): MHTML from
+// chrome.pageCapture, taken while the content script holds the page in its capture state and
+// downloaded from here once the image is saved, and a single-file HTML built by archive.js, whose
+// resources are fetched here (no page CORS limits).
+const MAX_RESOURCE_BYTES = 20 * 1024 * 1024;
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Tabs whose content script is building a page archive: tabId -> { origin, mhtml: Blob | null }.
+// Resources are only fetched for them, with cookies only for that origin (the page's own requests).
+const archiveRuns = new Map();
+
+// The worker has no object URLs: a Blob made here is posted (not copied into a runtime message)
+// to the offscreen document, which downloads it like the pipeline's own output
+async function downloadFromWorker(blob, filename) {
+  await ensureOffscreen();
+  const url = chrome.runtime.getURL('offscreen.html');
+  const client = (await self.clients.matchAll({ includeUncontrolled: true })).find((c) => c.url === url);
+  if (!client) throw new Error('tile pipeline is not running');
+  const channel = new MessageChannel();
+  const answered = new Promise((resolve) => { channel.port1.onmessage = (e) => resolve(e.data); });
+  client.postMessage({ action: 'pipeline-download-blob', blob, filename }, [channel.port2]);
+  const res = await answered;
+  if (!res || !res.success) throw new Error((res && res.error) || 'download failed');
+}
+
+async function fetchResource(url, origin) {
+  if (!/^https?:/i.test(url)) throw new Error('unsupported URL');
+  const res = await fetch(url, { credentials: new URL(url).origin === origin ? 'include' : 'omit' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const blob = await res.blob();
+  if (blob.size > MAX_RESOURCE_BYTES) throw new Error('resource too large');
+  return blobToDataUrl(blob);
+}
+
+// ---------- batch ----------
+// One batch at a time: a list of URLs (loaded one after another in a worker tab) or the tabs of a
+// window (each activated in turn). Every page runs the start-capture flow in batch mode, which
+// only saves to the history; batch.html follows the progress and builds the ZIP from the ids.
+const BATCH_LOAD_TIMEOUT_MS = 45000;
+const BATCH_CAPTURE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// { items: [{ url, tabId?, status, id?, error? }], running, cancelled, startedAt, finishedAt?, ownerTabId? }
+// status: 'pending' | 'running' | 'done' | 'failed' | 'skipped'
+let batch = null;
+
+// tabId -> settle({ success, id?, error? }) of the capture the batch is waiting for
+const captureWaiters = new Map();
+
+function waitForCaptureDone(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => settle({ success: false, error: `no result after ${Math.round(timeoutMs / 1000)}s` }), timeoutMs);
+    function settle(res) {
+      clearTimeout(timer);
+      captureWaiters.delete(tabId);
+      resolve(res);
+    }
+    captureWaiters.set(tabId, settle);
+  });
+}
+
+// Resolves with the tab once it has finished loading; slow pages are captured anyway after the timeout
+function waitForTabComplete(tabId, timeoutMs, { navigating = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      console.warn('[background] batch: page still loading, capturing anyway');
+      chrome.tabs.get(tabId).then(resolve, reject);
+    }, timeoutMs);
+    const onUpdated = (id, info, tab) => {
+      if (id !== tabId || info.status !== 'complete') return;
+      cleanup();
+      resolve(tab);
+    };
+    const onRemoved = (id) => {
+      if (id !== tabId) return;
+      cleanup();
+      reject(new Error('tab was closed'));
+    };
+    function cleanup() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    // an existing tab may already be loaded; a tab we just navigated reports 'complete' for the old page
+    if (!navigating) {
+      chrome.tabs.get(tabId).then((tab) => {
+        if (tab.status === 'complete') { cleanup(); resolve(tab); }
+      }, (err) => { cleanup(); reject(err); });
+    }
+  });
+}
+
+// batch.html listens for these; nobody listening (page closed) is fine
+function broadcastBatch() {
+  chrome.runtime.sendMessage({ action: 'batch-progress', batch }).catch(() => {});
+}
+
+// opts: { urls?: string[], tabIds?: number[], windowId, output? }
+async function runBatch(opts) {
+  let worker = null; // tab reused for URL lists
+  try {
+    for (const item of batch.items) {
+      if (batch.cancelled) { item.status = 'skipped'; continue; }
+      item.status = 'running';
+      broadcastBatch();
+      try {
+        let tab;
+        if (item.tabId != null) {
+          tab = await chrome.tabs.update(item.tabId, { active: true });
+          await chrome.windows.update(tab.windowId, { focused: true });
+          tab = await waitForTabComplete(tab.id, BATCH_LOAD_TIMEOUT_MS);
+        } else {
+          worker = worker
+            ? await chrome.tabs.update(worker.id, { url: item.url, active: true })
+            : await chrome.tabs.create({ url: item.url, windowId: opts.windowId, active: true });
+          tab = await waitForTabComplete(worker.id, BATCH_LOAD_TIMEOUT_MS, { navigating: true });
+        }
+        item.url = tab.url || item.url;
+
+        const done = waitForCaptureDone(tab.id, BATCH_CAPTURE_TIMEOUT_MS);
+        const resp = await startCaptureInTab(tab, { action: 'start-capture', output: opts.output, batch: true });
+        if (!resp.success) captureWaiters.get(tab.id)?.({ success: false, error: resp.error });
+        const res = await done;
+        if (!res.success) throw new Error(res.error || 'capture failed');
+        item.status = 'done';
+        item.id = res.id;
+      } catch (err) {
+        item.status = 'failed';
+        item.error = err && err.message ? err.message : String(err);
+        console.warn('[background] batch item failed:', item.url, item.error);
+        // the user may have closed the worker tab; open a fresh one for the next URL
+        if (worker && !(await chrome.tabs.get(worker.id).catch(() => null))) worker = null;
+      }
+      broadcastBatch();
+    }
+  } finally {
+    if (worker) await chrome.tabs.remove(worker.id).catch(() => {});
+    batch.running = false;
+    batch.finishedAt = Date.now();
+    broadcastBatch();
+    if (batch.ownerTabId != null) chrome.tabs.update(batch.ownerTabId, { active: true }).catch(() => {});
+  }
+}
+
+// ---------- watches ----------
+// Pages captured on a schedule (schedule.js): each enabled watch has one chrome.alarms alarm set
+// to its next run. A run opens the page in its own unfocused window and emulates the watch's
+// device preset through chrome.debugger, so the viewport is the same every time and the tiles
+// come from Page.captureScreenshot (the window need not be in front). The capture goes to the
+// history like a batch item; its pHash is compared with the previous run's, and a distance over
+// the watch's threshold flags the run as changed and counts on the action badge until
+// watches.html has shown it.
+const WATCHES_KEY = 'fpc_watches';
+const WATCH_ALARM = 'watch:';
+// a run missed while the browser was closed happens this long after it comes back
+const WATCH_CATCH_UP_MS = 60 * 1000;
+const WATCH_ACTIONS = ['watch-list', 'watch-save', 'watch-delete', 'watch-run', 'watch-seen'];
+
+// [{ id, url, schedule, device, threshold, enabled, createdAt, nextRun, running?, hash?, unseen?,
+//    last?: { at, success, id?, error?, distance?, changed? } }]
+// hash: hex pHash of the latest capture; threshold 0 never flags a change
+async function loadWatches() {
+  return (await chrome.storage.local.get(WATCHES_KEY))[WATCHES_KEY] || [];
+}
+
+// Serialized read-modify-write of the list: fn mutates it and its return value is passed on
+let watchWrites = Promise.resolve();
+function editWatches(fn) {
+  const run = watchWrites.then(async () => {
+    const watches = await loadWatches();
+    const result = await fn(watches);
+    await chrome.storage.local.set({ [WATCHES_KEY]: watches });
+    broadcastWatches(watches);
+    return result;
+  });
+  watchWrites = run.catch(() => {});
+  return run;
+}
+
+// watches.html listens for these; the badge counts the changes nobody has looked at yet
+function broadcastWatches(watches) {
+  chrome.runtime.sendMessage({ action: 'watch-progress', watches }).catch(() => {});
+  const unseen = watches.filter((w) => w.unseen).length;
+  chrome.action.setBadgeText({ text: unseen ? String(unseen) : '' }).catch(() => {});
+  if (unseen) chrome.action.setBadgeBackgroundColor({ color: '#d93025' }).catch(() => {});
+}
+
+async function scheduleWatch(w) {
+  await chrome.alarms.clear(WATCH_ALARM + w.id);
+  if (w.enabled) await chrome.alarms.create(WATCH_ALARM + w.id, { when: w.nextRun });
+}
+
+// Alarms are not guaranteed to survive a browser restart; rebuild them from the stored list
+async function syncWatchAlarms() {
+  const watches = await editWatches((list) => {
+    const now = Date.now();
+    for (const w of list) {
+      w.running = false; // a run cut off when the browser closed
+      if (w.enabled && !(w.nextRun > now)) w.nextRun = now + WATCH_CATCH_UP_MS;
+    }
+    return list.map((w) => ({ ...w }));
+  });
+  for (const w of watches) await scheduleWatch(w);
+}
+
+// input: { id?, url, schedule, device?, threshold?, enabled? }; without a known id it is a new watch
+async function saveWatch(input) {
+  let url;
+  try {
+    url = new URL(String(input.url || '').trim());
+  } catch (_) {
+    throw new Error('Not a valid URL');
+  }
+  if (!['http:', 'https:', 'file:'].includes(url.protocol)) throw new Error('Only http(s) and file: pages can be watched');
+  const schedule = String(input.schedule || '').trim();
+  const bad = self.FPCSchedule.validate(schedule);
+  if (bad) throw new Error(`Schedule: ${bad}`);
+  const device = self.FPCSettings.DEVICE_PRESETS.some((p) => p.id === input.device) ? input.device : 'desktop';
+  const threshold = Math.min(64, Math.max(0, Math.round(Number(input.threshold) || 0)));
+
+  const saved = await editWatches((list) => {
+    let w = input.id && list.find((x) => x.id === input.id);
+    if (!w) {
+      w = { id: crypto.randomUUID(), createdAt: Date.now() };
+      list.push(w);
+    }
+    // another page or viewport starts a new baseline
+    if (w.url !== url.href || w.device !== device) delete w.hash;
+    Object.assign(w, { url: url.href, schedule, device, threshold, enabled: input.enabled !== false });
+    w.nextRun = self.FPCSchedule.next(schedule, Date.now(), w.last && w.last.at);
+    return { ...w };
+  });
+  await scheduleWatch(saved);
+  return saved;
+}
+
+// One run at a time: each holds a window and the debugger on it. A watch already waiting is not queued twice.
+let watchRuns = Promise.resolve();
+const queuedWatches = new Set();
+function queueWatchRun(id) {
+  if (queuedWatches.has(id)) return;
+  queuedWatches.add(id);
+  watchRuns = watchRuns
+    .then(() => runWatch(id))
+    .catch((err) => console.error('[background] watch run failed:', err))
+    .finally(() => queuedWatches.delete(id));
+}
+
+async function runWatch(id) {
+  const w = await editWatches((list) => {
+    const found = list.find((x) => x.id === id);
+    if (found) found.running = true;
+    return found && { ...found };
+  });
+  if (!w) return;
+
+  const last = { at: Date.now(), success: false };
+  let hash = null;
+  try {
+    const res = await captureInWindow(w.url, w.device);
+    last.success = true;
+    last.id = res.id;
+    try {
+      hash = await captureHash(res.id);
+    } catch (err) {
+      console.warn('[background] watch: no pHash for the capture:', err && err.message ? err.message : err);
+    }
+    if (hash != null && w.hash) {
+      last.distance = self.FPCDiff.hamming(BigInt('0x' + w.hash), hash);
+      last.changed = w.threshold > 0 && last.distance > w.threshold;
+    }
+    // the timeline in watches.html is built from these
+    await self.FPCHistory.update(res.id, { watch: { id: w.id, distance: last.distance, changed: !!last.changed } });
+  } catch (err) {
+    last.error = err && err.message ? err.message : String(err);
+    console.warn('[background] watch run failed:', w.url, last.error);
+  }
+
+  const updated = await editWatches((list) => {
+    const cur = list.find((x) => x.id === id);
+    if (!cur) return null; // deleted while it ran
+    cur.running = false;
+    cur.last = last;
+    if (hash != null) cur.hash = hash.toString(16);
+    if (last.changed) cur.unseen = true;
+    cur.nextRun = self.FPCSchedule.next(cur.schedule, Date.now(), last.at);
+    return { ...cur };
+  });
+  if (updated) await scheduleWatch(updated);
+}
+
+// Opens `url` in its own unfocused window, emulates a device preset (settings.js, 'desktop' when
+// unknown) and captures it in batch mode; the window is closed afterwards.
+// start: { action?, output?, selector?, redact?, timeoutMs? }. Resolves with the capture-done result ({ success, id });
+// throws when the page could not be captured.
+async function captureInWindow(url, deviceId, start = {}) {
+  const presets = self.FPCSettings.DEVICE_PRESETS;
+  const p = presets.find((x) => x.id === deviceId) || presets.find((x) => x.id === 'desktop');
+  const win = await chrome.windows.create({ url, focused: false, type: 'normal' });
+  const tabId = win.tabs[0].id;
+  const target = { tabId };
+  try {
+    const tab = await waitForTabComplete(tabId, BATCH_LOAD_TIMEOUT_MS);
+    await chrome.debugger.attach(target, '1.3');
+    emulatedTabs.add(tabId);
+    try {
+      await chrome.debugger.sendCommand(target, 'Emulation.setDeviceMetricsOverride', {
+        width: p.width,
+        height: p.height,
+        deviceScaleFactor: p.dpr,
+        mobile: p.mobile
+      });
+      await new Promise((r) => setTimeout(r, 800));
+      const done = waitForCaptureDone(tabId, start.timeoutMs || BATCH_CAPTURE_TIMEOUT_MS);
+      const resp = await startCaptureInTab(tab, {
+        action: start.action || 'start-capture',
+        engine: 'scroll',
+        output: start.output,
+        selector: start.selector,
+        redact: start.redact,
+        batch: true,
+        device: { id: p.id, label: `${p.label} ${p.width}`, width: p.width, height: p.height, dpr: p.dpr, mobile: p.mobile }
+      });
+      if (!resp.success) captureWaiters.get(tabId)?.({ success: false, error: resp.error });
+      const res = await done;
+      if (!res.success) throw new Error(res.error || 'capture failed');
+      return res;
+    } finally {
+      emulatedTabs.delete(tabId);
+      try { await chrome.debugger.detach(target); } catch (_) {}
+    }
+  } finally {
+    await chrome.windows.remove(win.id).catch(() => {});
+  }
+}
+
+// pHash (imagediff.js) of the first image of a stored capture
+async function captureHash(id) {
+  const blobs = await self.FPCHistory.getImages(id);
+  if (!blobs || !blobs.length) throw new Error('capture has no image');
+  const bitmap = await createImageBitmap(blobs[0]);
+  try {
+    return await self.FPCDiff.computePHash(bitmap);
+  } finally {
+    bitmap.close();
+  }
+}
+
+// watches.html -> background
+async function handleWatchMessage(msg) {
+  switch (msg.action) {
+    case 'watch-list':
+      return { success: true, watches: await loadWatches() };
+    case 'watch-save':
+      return { success: true, watch: await saveWatch(msg.watch || {}) };
+    case 'watch-delete':
+      // its captures stay in the history
+      await editWatches((list) => {
+        const i = list.findIndex((w) => w.id === msg.id);
+        if (i >= 0) list.splice(i, 1);
+      });
+      await chrome.alarms.clear(WATCH_ALARM + msg.id);
+      return { success: true };
+    case 'watch-run':
+      if (!(await loadWatches()).some((w) => w.id === msg.id)) throw new Error('No such watch');
+      queueWatchRun(msg.id);
+      return { success: true };
+    case 'watch-seen':
+      await editWatches((list) => {
+        for (const w of list) if (msg.id == null || w.id === msg.id) w.unseen = false;
+      });
+      return { success: true };
+  }
+  throw new Error(`unknown watch action ${msg.action}`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(WATCH_ALARM)) queueWatchRun(alarm.name.slice(WATCH_ALARM.length));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncWatchAlarms().catch((err) => console.error('[background] watch alarms:', err));
+});
+
+// ---------- external API ----------
+// Other extensions, and pages on localhost (manifest "externally_connectable"), can drive captures
+// with chrome.runtime.sendMessage(<this extension's id>, request). Only callers on the allowlist
+// (options page: extension ids or page origins, chrome.storage.local) get an answer other than a refusal.
+//
+// { action: 'ping' }
+//   -> { success, version, modes, formats }
+// { action: 'capture', tabId | url, mode?, format?, options? }
+//   tabId    capture that tab; it is activated and its window focused, as in a batch
+//   url      open the page in its own unfocused window at options.device (a settings.js device
+//            preset, 'desktop' by default) and close the window afterwards
+//   mode     'full' (default) | 'visible' | 'element' (the first match of options.selector)
+//   format   'png' | 'jpeg' | 'webp'; default: the synced output format (PDF is not offered)
+//   options  { selector?, device?, quality? (0.1–1), redact?, keepInHistory? (default false), timeoutMs? }
+//   -> { success: true, id, meta, images: [dataUrl, ...] }: one data: URL per output part (a Blob
+//      does not survive extension messaging), `meta` is the history record without its thumbnail
+//      and `id` is set when the capture was kept in the history
+//   -> { success: false, error }
+// Captures run in batch mode: no download, no viewer, no page toasts.
+const EXTERNAL_ALLOW_KEY = 'fpc_external_allow';
+const EXTERNAL_MODES = { full: 'start-capture', visible: 'start-visible-capture', element: 'start-element-capture' };
+const EXTERNAL_FORMATS = ['png', 'jpeg', 'webp'];
+// messages are limited to 64 MiB of JSON; base64 adds a third
+const EXTERNAL_MAX_BYTES = 32 * 1024 * 1024;
+
+// The manifest lets every extension (and localhost pages) send; this is the only gate, so anything
+// unexpected (empty or unreadable list, a caller without id or origin) refuses
+async function externalCallerAllowed(sender) {
+  let allow;
+  try {
+    allow = (await chrome.storage.local.get(EXTERNAL_ALLOW_KEY))[EXTERNAL_ALLOW_KEY];
+  } catch (err) {
+    console.error('[background] external allowlist unreadable:', err);
+    return false;
+  }
+  if (!Array.isArray(allow) || !allow.length) return false;
+  const caller = [sender.id, sender.origin].filter((v) => typeof v === 'string' && v);
+  return allow.some((entry) => typeof entry === 'string' && entry !== '' && caller.includes(entry));
+}
+
+async function externalCapture(req) {
+  const mode = req.mode || 'full';
+  const action = EXTERNAL_MODES[mode];
+  if (!action) throw new Error(`unknown mode "${mode}" (${Object.keys(EXTERNAL_MODES).join(', ')})`);
+  const opts = req.options || {};
+  if (mode === 'element' && !opts.selector) throw new Error('mode "element" needs options.selector');
+  const format = req.format || (await self.FPCSettings.load()).output.format || 'jpeg';
+  if (!EXTERNAL_FORMATS.includes(format)) throw new Error(`unsupported format "${format}" (${EXTERNAL_FORMATS.join(', ')})`);
+  const start = {
+    action,
+    output: opts.quality != null ? { format, quality: Number(opts.quality) } : { format },
+    selector: opts.selector,
+    redact: opts.redact,
+    timeoutMs: opts.timeoutMs
+  };
+
+  let res;
+  if (req.url) {
+    let url;
+    try {
+      url = new URL(String(req.url));
+    } catch (_) {
+      throw new Error('url is not a valid URL');
+    }
+    if (!['http:', 'https:', 'file:'].includes(url.protocol)) throw new Error('only http(s) and file: pages can be captured');
+    res = await captureInWindow(url.href, opts.device, start);
+  } else if (req.tabId != null) {
+    res = await captureExistingTab(Number(req.tabId), start);
+  } else {
+    throw new Error('a tabId or a url is required');
+  }
+
+  try {
+    const rec = await self.FPCHistory.get(res.id);
+    const blobs = await self.FPCHistory.getImages(res.id);
+    if (!rec || !blobs) throw new Error('capture missing from the history');
+    if (rec.bytes > EXTERNAL_MAX_BYTES) {
+      throw new Error(`capture is ${Math.round(rec.bytes / 1048576)} MiB, over the ${EXTERNAL_MAX_BYTES / 1048576} MiB message limit` +
+        (opts.keepInHistory ? ` (kept in the history as id ${res.id})` : ''));
+    }
+    const { thumb, ...meta } = rec;
+    return { success: true, id: opts.keepInHistory ? res.id : null, meta, images: await Promise.all(blobs.map(blobToDataUrl)) };
+  } finally {
+    if (!opts.keepInHistory) await self.FPCHistory.remove(res.id).catch(() => {});
+  }
+}
+
+// Resolves with the capture-done result ({ success, id }); throws when the tab could not be captured
+async function captureExistingTab(tabId, start) {
+  if (captureWaiters.has(tabId)) throw new Error('a capture is already running in that tab');
+  let tab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  tab = await waitForTabComplete(tab.id, BATCH_LOAD_TIMEOUT_MS);
+  const done = waitForCaptureDone(tab.id, start.timeoutMs || BATCH_CAPTURE_TIMEOUT_MS);
+  const resp = await startCaptureInTab(tab, { ...start, batch: true });
+  if (!resp.success) captureWaiters.get(tab.id)?.({ success: false, error: resp.error });
+  const res = await done;
+  if (!res.success) throw new Error(res.error || 'capture failed');
+  return res;
+}
+
+chrome.runtime.onMessageExternal.addListener((msg, sender, sendResponse) => {
+  (async () => {
+    try {
+      if (!(await externalCallerAllowed(sender))) {
+        console.warn('[background] external request refused:', sender.id || sender.origin);
+        return { success: false, error: 'caller is not on the allowlist (extension options)' };
+      }
+      if (!msg || typeof msg !== 'object') throw new Error('expected a request object');
+      if (msg.action === 'ping') {
+        return { success: true, version: chrome.runtime.getManifest().version, modes: Object.keys(EXTERNAL_MODES), formats: EXTERNAL_FORMATS };
+      }
+      if (msg.action === 'capture') return await externalCapture(msg);
+      throw new Error(`unknown action "${msg.action}"`);
+    } catch (err) {
+      console.error('[background] external request failed:', err);
+      return { success: false, error: err && err.message ? err.message : String(err) };
+    }
+  })().then(sendResponse);
+  return true;
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  runSettings.delete(tabId);
+  captureStatus.delete(tabId);
+  captureWaiters.get(tabId)?.({ success: false, error: 'tab was closed' });
+  dropTabSessions(tabId);
+  archiveRuns.delete(tabId);
+});
+
+// A reload or navigation takes the content script, and with it the closing of its sessions. Same-page
+// navigations (pushState, fragments) report a status too, so the page is asked what it still uses;
+// a new document has no content script to answer.
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  if (!info.status || !tabSessions.has(tabId)) return;
+  sendToTab(tabId, { action: 'capture-sessions' })
+    .catch(() => null)
+    .then((keep) => dropTabSessions(tabId, keep || {}));
+});
+
 // Message handler
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (!msg || !msg.action) return false;
+  if (!msg || !msg.action || msg.target === 'offscreen') return false;
 
-  // popup -> background: start capture flow
-  if (msg.action === 'start-capture') {
+  // popup -> background: start capture flow in the active tab
+  if (START_ACTIONS.includes(msg.action)) {
     (async () => {
       try {
         // find active tab
@@ -37,51 +951,145 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ success: false, error: 'No active tab found' });
           return;
         }
-        const tab = tabs[0];
+        sendResponse(await startCaptureInTab(tabs[0], msg));
+      } catch (err) {
+        console.error('[background] start-capture failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      }
+    })();
+    return true; // keep channel open
+  }
 
-        // do not run on internal chrome pages or webstore
-        if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome.google.com/webstore')) {
-          sendResponse({ success: false, error: 'Cannot inject into this page (internal/webstore).' });
+  // popup -> background: capture the active tab at several device sizes (runs in the background)
+  if (msg.action === 'start-responsive-capture') {
+    (async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab && emulatedTabs.has(tab.id)) {
+          sendResponse({ success: false, error: 'A responsive capture is already running in this tab' });
           return;
         }
+        // attach/validation errors go to the popup; per-device results end in a page notice
+        const run = await startResponsiveCapture(tab, msg);
+        run.finished.catch((err) => console.error('[background] responsive capture failed:', err));
+        sendResponse({ success: true, info: `capturing ${run.presets.length} device sizes` });
+      } catch (err) {
+        console.error('[background] start-responsive-capture failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      }
+    })();
+    return true;
+  }
 
-        // Inject contentScript.js (MV3 runtime injection)
-        try {
-          await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            files: ['contentScript.js']
-          });
-        } catch (injErr) {
-          console.error('[background] injection failed:', injErr);
-          // If contentScript was already registered statically via manifest content_scripts, injection may fail - still try to message
-        }
+  // contentScript -> background: progress of the running capture
+  if (msg.action === 'capture-progress') {
+    if (sender.tab) {
+      const { action, ...progress } = msg;
+      publishStatus(sender.tab.id, { running: true, ...progress });
+    }
+    return false;
+  }
 
-        // Give the page a small tick to register listeners (optional)
-        await new Promise((r) => setTimeout(r, 60));
-
-        // Send message to content script to begin capture (content script listens for 'start-capture')
-        chrome.tabs.sendMessage(tab.id, { action: 'start-capture' }, (resp) => {
-          if (chrome.runtime.lastError) {
-            console.error('[background] sendMessage to content script failed:', chrome.runtime.lastError.message);
-            sendResponse({ success: false, error: chrome.runtime.lastError.message });
-            return;
-          }
-          sendResponse({ success: true, info: 'capture started in page' });
-        });
+  // contentScript -> background: a run finished (or failed); wakes up the batch waiting on that tab
+  if (msg.action === 'capture-done') {
+    if (!sender.tab) return false;
+    const settle = captureWaiters.get(sender.tab.id);
+    if (settle) settle({ success: !!msg.success, id: msg.id, error: msg.error });
+    publishStatus(sender.tab.id, {
+      running: false,
+      phase: msg.success ? 'done' : msg.cancelled ? 'cancelled' : 'failed',
+      id: msg.id,
+      error: msg.error
+    });
+    return false;
+  }
+
+  // popup -> background: status of the capture in the active tab / pause, resume, cancel it
+  if (msg.action === 'get-capture-status' || msg.action === 'capture-control') {
+    (async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) throw new Error('No active tab found');
+        if (msg.action === 'capture-control') await sendToTab(tab.id, { action: 'capture-control', command: msg.command });
+        sendResponse({ success: true, tabId: tab.id, status: captureStatus.get(tab.id) || null });
       } catch (err) {
-        console.error('[background] start-capture failed:', err);
         sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
       }
     })();
-    return true; // keep channel open
+    return true;
+  }
+
+  // batch.html -> background: start / inspect / cancel the batch
+  if (msg.action === 'batch-start') {
+    (async () => {
+      try {
+        if (batch && batch.running) {
+          sendResponse({ success: false, error: 'A batch is already running' });
+          return;
+        }
+        const windowId = sender.tab ? sender.tab.windowId : chrome.windows.WINDOW_ID_CURRENT;
+        let items;
+        if (msg.allTabs) {
+          const tabs = await chrome.tabs.query({ windowId });
+          items = tabs.filter((t) => !sender.tab || t.id !== sender.tab.id).map((t) => ({ url: t.url || t.pendingUrl, tabId: t.id }));
+        } else {
+          items = (msg.urls || []).map((url) => ({ url }));
+        }
+        if (!items.length) {
+          sendResponse({ success: false, error: 'Nothing to capture' });
+          return;
+        }
+        batch = {
+          items: items.map((it) => ({ ...it, status: 'pending' })),
+          running: true,
+          cancelled: false,
+          startedAt: Date.now(),
+          ownerTabId: sender.tab ? sender.tab.id : null
+        };
+        runBatch({ windowId, output: msg.output }).catch((err) => console.error('[background] batch failed:', err));
+        sendResponse({ success: true, batch });
+      } catch (err) {
+        console.error('[background] batch-start failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.action === 'batch-status') {
+    sendResponse({ success: true, batch });
+    return false;
   }
 
-  // contentScript -> background: actual capture request for a tile
+  if (msg.action === 'batch-cancel') {
+    if (batch && batch.running) batch.cancelled = true;
+    sendResponse({ success: true, batch });
+    return false;
+  }
+
+  // watches.html -> background: list / add or edit / delete / run now / mark changes as seen
+  if (WATCH_ACTIONS.includes(msg.action)) {
+    handleWatchMessage(msg)
+      .then(sendResponse)
+      .catch((err) => {
+        console.error(`[background] ${msg.action} failed:`, err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      });
+    return true;
+  }
+
+  // contentScript -> background: capture a tile into the run's pipeline session (msg.session);
+  // the page gets { index, width, height, hash } back, never the image itself
   if (msg.action === 'capture-visible') {
     (async () => {
       try {
-        const dataUrl = await captureVisibleWithRetries(3, 250);
-        sendResponse({ success: true, dataUrl });
+        const bg = (sender.tab && runSettings.get(sender.tab.id) || self.FPCSettings.DEFAULTS).background;
+        const format = msg.format === 'png' ? 'png' : 'jpeg';
+        const dataUrl = sender.tab && emulatedTabs.has(sender.tab.id)
+          ? await captureViewportWithDebugger(sender.tab.id, format)
+          : await captureVisibleWithRetries(bg.captureRetries, bg.captureRetryDelayMs, format, sender.tab ? sender.tab.windowId : null);
+        if (sender.tab) trackSession(sender.tab.id, 'run', msg.session);
+        sendResponse(await addTile(msg.session, dataUrl));
       } catch (err) {
         console.error('[background] capture-visible failed:', err);
         sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
@@ -90,6 +1098,100 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  // contentScript -> background -> pipeline: compose a row, build and store the output, drop a session
+  if (PIPELINE_ACTIONS.includes(msg.action)) {
+    if (sender.tab && msg.sheet) trackSession(sender.tab.id, 'sheet', msg.sheet.session);
+    toPipeline(msg)
+      .then(sendResponse)
+      .catch((err) => {
+        console.error(`[background] ${msg.action} failed:`, err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      });
+    return true;
+  }
+
+  // pipeline -> background: download a Blob through the offscreen document's object URL
+  // Only the offscreen document may ask, for its own object URLs; the name stays a plain file name
+  // in the downloads folder
+  if (msg.action === 'pipeline-download') {
+    const url = String(msg.url || '');
+    if (sender.url !== chrome.runtime.getURL('offscreen.html') || !url.startsWith(`blob:${self.location.origin}/`)) {
+      sendResponse({ success: false, error: 'downloads are only taken from the tile pipeline' });
+      return false;
+    }
+    chrome.downloads.download({ url, filename: safeFilename(msg.filename), conflictAction: 'uniquify' })
+      .then((downloadId) => sendResponse({ success: true, downloadId }))
+      .catch((err) => {
+        console.error('[background] download failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      });
+    return true;
+  }
+
+  // contentScript -> background: a page archive of the sender's tab starts / is done. With msg.mhtml
+  // the MHTML of the tab in its current state is kept here until save-mhtml downloads it.
+  if (msg.action === 'archive-begin' || msg.action === 'archive-end') {
+    if (!sender.tab || sender.frameId !== 0) {
+      sendResponse({ success: false, error: 'not a capturing page' });
+      return false;
+    }
+    const tabId = sender.tab.id;
+    if (msg.action === 'archive-end') {
+      archiveRuns.delete(tabId);
+      sendResponse({ success: true });
+      return false;
+    }
+    const run = { origin: new URL(sender.url).origin, mhtml: null };
+    archiveRuns.set(tabId, run);
+    if (!msg.mhtml) {
+      sendResponse({ success: true, mhtml: false });
+      return false;
+    }
+    chrome.pageCapture.saveAsMHTML({ tabId })
+      .then((blob) => {
+        run.mhtml = blob;
+        sendResponse({ success: true, mhtml: true });
+      })
+      .catch((err) => {
+        console.error('[background] MHTML failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      });
+    return true;
+  }
+
+  // contentScript -> background: download the MHTML kept by archive-begin (msg.filename); the page
+  // only hears whether it worked
+  if (msg.action === 'save-mhtml') {
+    const run = sender.tab && archiveRuns.get(sender.tab.id);
+    if (!run || !run.mhtml) {
+      sendResponse({ success: false, error: 'no MHTML taken' });
+      return false;
+    }
+    const blob = run.mhtml;
+    run.mhtml = null;
+    downloadFromWorker(blob, String(msg.filename || 'page.mhtml'))
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => {
+        console.error('[background] save-mhtml failed:', err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      });
+    return true;
+  }
+
+  // contentScript -> background: one resource of the single-file HTML archive, as a data: URL;
+  // only for the page of an archive in progress (a tab that navigated away has another origin)
+  if (msg.action === 'fetch-resource') {
+    const run = sender.tab && sender.frameId === 0 && archiveRuns.get(sender.tab.id);
+    if (!run || new URL(sender.url).origin !== run.origin) {
+      sendResponse({ success: false, error: 'no page archive in progress' });
+      return false;
+    }
+    fetchResource(String(msg.url || ''), run.origin)
+      .then((dataUrl) => sendResponse({ success: true, dataUrl }))
+      .catch((err) => sendResponse({ success: false, error: err && err.message ? err.message : String(err) }));
+    return true;
+  }
+
   // Optionally other actions...
   return false;
 });
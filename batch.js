@@ -0,0 +1,211 @@
+// batch.js — start a batch capture (background.js runBatch), follow its progress, build the ZIP
+(function () {
+  const urlsEl = document.getElementById('urls');
+  const startUrlsBtn = document.getElementById('startUrls');
+  const startTabsBtn = document.getElementById('startTabs');
+  const cancelBtn = document.getElementById('cancel');
+  const zipBtn = document.getElementById('downloadZip');
+  const progressEl = document.getElementById('progress');
+  const summary = document.getElementById('summary');
+  const rows = document.getElementById('rows');
+
+  const STATUS_TEXT = { pending: 'Waiting', running: 'Capturing…', done: 'Done', failed: 'Failed', skipped: 'Skipped' };
+
+  let current = null;
+  let watching = false; // this page saw the batch running, so it downloads the ZIP when it ends
+
+  // One URL per line; bare hostnames get https://, blank lines and #comments are ignored
+  function parseUrls(text) {
+    const urls = [], invalid = [];
+    for (const raw of text.split('\n')) {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) continue;
+      try {
+        const u = new URL(/^[a-z][a-z0-9+.-]*:/i.test(line) ? line : 'https://' + line);
+        if (u.protocol === 'http:' || u.protocol === 'https:' || u.protocol === 'file:') urls.push(u.href);
+        else invalid.push(line);
+      } catch (_) {
+        invalid.push(line);
+      }
+    }
+    return { urls, invalid };
+  }
+
+  function slug(url) {
+    try {
+      const u = new URL(url);
+      const path = (u.pathname + u.search).replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '');
+      return (u.hostname + (path ? '_' + path : '')).slice(0, 80);
+    } catch (_) {
+      return 'page';
+    }
+  }
+
+  function viewerLink(id) {
+    const a = document.createElement('a');
+    a.href = chrome.runtime.getURL(`viewer.html?id=${id}`);
+    a.target = '_blank';
+    a.textContent = 'Open';
+    return a;
+  }
+
+  function render(batch) {
+    current = batch;
+    if (!batch) return;
+    const n = batch.items.length;
+    const count = (s) => batch.items.filter((it) => it.status === s).length;
+    const finished = count('done') + count('failed') + count('skipped');
+    progressEl.max = n;
+    progressEl.value = finished;
+    summary.textContent = batch.running
+      ? `${finished} of ${n} finished · ${count('done')} captured · ${count('failed')} failed` + (batch.cancelled ? ' · cancelling…' : '')
+      : `Finished: ${count('done')} captured, ${count('failed')} failed` + (count('skipped') ? `, ${count('skipped')} skipped` : '') + ` of ${n}.`;
+
+    rows.replaceChildren(...batch.items.map((it, i) => {
+      const tr = document.createElement('tr');
+      const idx = document.createElement('td');
+      idx.textContent = i + 1;
+      const url = document.createElement('td');
+      url.className = 'url';
+      url.textContent = it.url || '(no URL)';
+      const status = document.createElement('td');
+      status.className = 'status-' + it.status;
+      status.textContent = STATUS_TEXT[it.status] + (it.error ? ': ' + it.error : '');
+      const open = document.createElement('td');
+      if (it.id != null) open.appendChild(viewerLink(it.id));
+      tr.append(idx, url, status, open);
+      return tr;
+    }));
+
+    startUrlsBtn.disabled = startTabsBtn.disabled = batch.running;
+    cancelBtn.disabled = !batch.running || batch.cancelled;
+    zipBtn.disabled = batch.running || !count('done');
+  }
+
+  // ---------- zip ----------
+  // One file per captured page (numbered like the report), split pages as _partNN,
+  // PDF captures rebuilt from the lossless parts in the history, plus report.csv.
+  async function buildZip(batch) {
+    const output = FPCExport.normalize((await FPCSettings.load()).output);
+    const files = [];
+    const report = [['#', 'url', 'status', 'files', 'error']];
+
+    for (let i = 0; i < batch.items.length; i++) {
+      const it = batch.items[i];
+      const base = `${String(i + 1).padStart(2, '0')}_${slug(it.url)}`;
+      const names = [];
+      if (it.status === 'done') {
+        try {
+          const rec = await FPCHistory.get(it.id);
+          const blobs = await FPCHistory.getImages(it.id);
+          if (!rec || !blobs) throw new Error('capture no longer in the history');
+          const date = new Date(rec.createdAt);
+          if (rec.format === 'pdf') {
+            const canvases = await Promise.all(blobs.map(blobToCanvas));
+            names.push(`${base}.pdf`);
+            files.push({ name: names[0], blob: await FPCExport.canvasToPdf(canvases, { ...output, format: 'pdf' }, rec), date });
+          } else {
+            const ext = (FPCExport.FORMATS[rec.format] || FPCExport.FORMATS.png).ext;
+            blobs.forEach((blob, p) => {
+              const suffix = blobs.length > 1 ? `_part${String(p + 1).padStart(2, '0')}` : '';
+              names.push(`${base}${suffix}.${ext}`);
+              files.push({ name: names[names.length - 1], blob, date });
+            });
+          }
+          if (FPCExport.wantsSidecar({ ...output, format: rec.format })) {
+            names.push(`${base}.json`);
+            files.push({ name: `${base}.json`, blob: FPCExport.sidecar(rec), date });
+          }
+        } catch (e) {
+          it.status = 'failed';
+          it.error = e && e.message ? e.message : String(e);
+        }
+      }
+      report.push([i + 1, it.url || '', it.status, names.join(' '), it.error || '']);
+    }
+
+    const csv = report.map((r) => r.map((v) => `"${String(v).replace(/"/g, '""')}"`).join(',')).join('\r\n') + '\r\n';
+    files.push({ name: 'report.csv', blob: new Blob([csv], { type: 'text/csv' }) });
+    return FPCZip.zip(files);
+  }
+
+  async function blobToCanvas(blob) {
+    const bmp = await createImageBitmap(blob);
+    const c = document.createElement('canvas');
+    c.width = bmp.width;
+    c.height = bmp.height;
+    c.getContext('2d').drawImage(bmp, 0, 0);
+    bmp.close();
+    return c;
+  }
+
+  async function downloadZip() {
+    if (!current) return;
+    zipBtn.disabled = true;
+    const label = zipBtn.textContent;
+    zipBtn.textContent = 'Building ZIP…';
+    try {
+      const blob = await buildZip(current);
+      const u = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = u;
+      a.download = `batch_${current.startedAt}.zip`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(u), 10000);
+    } catch (e) {
+      console.error('batch zip failed:', e);
+      summary.textContent = 'Could not build the ZIP: ' + (e && e.message ? e.message : e);
+    } finally {
+      zipBtn.textContent = label;
+      zipBtn.disabled = false;
+    }
+  }
+
+  // ---------- start / cancel ----------
+  async function start(msg) {
+    const resp = await chrome.runtime.sendMessage({ action: 'batch-start', ...msg });
+    if (!resp || !resp.success) {
+      summary.textContent = 'Could not start: ' + (resp && resp.error ? resp.error : 'unknown error');
+      return;
+    }
+    watching = true;
+    render(resp.batch);
+  }
+
+  startUrlsBtn.addEventListener('click', () => {
+    const { urls, invalid } = parseUrls(urlsEl.value);
+    if (invalid.length) {
+      summary.textContent = `Not a URL: ${invalid.join(', ')}`;
+      return;
+    }
+    if (!urls.length) {
+      summary.textContent = 'Enter at least one URL.';
+      return;
+    }
+    start({ urls });
+  });
+
+  startTabsBtn.addEventListener('click', () => start({ allTabs: true }));
+
+  cancelBtn.addEventListener('click', async () => {
+    const resp = await chrome.runtime.sendMessage({ action: 'batch-cancel' });
+    if (resp) render(resp.batch);
+  });
+
+  zipBtn.addEventListener('click', downloadZip);
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (!msg || msg.action !== 'batch-progress' || !msg.batch) return;
+    const wasRunning = current && current.running;
+    render(msg.batch);
+    if (watching && wasRunning && !msg.batch.running && msg.batch.items.some((it) => it.status === 'done')) downloadZip();
+  });
+
+  // pick up a batch that is already running (page reopened)
+  chrome.runtime.sendMessage({ action: 'batch-status' }).then((resp) => {
+    if (resp && resp.batch) {
+      watching = resp.batch.running;
+      render(resp.batch);
+    }
+  });
+})();
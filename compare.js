@@ -0,0 +1,243 @@
+// compare.js — visual diff of two captures of the same page in the viewer
+// Side-by-side, swipe, onion-skin and pixel-diff modes on a full-window panel, with a
+// similarity score and the list of changed regions (comparison itself lives in imagediff.js).
+(() => {
+    if (self.FPCCompare) return;
+
+    const MODES = ['side', 'swipe', 'onion', 'diff'];
+
+    // current: { id, part, meta } of the capture shown in the viewer
+    function create({ current }) {
+        const panel = document.getElementById('comparePanel');
+        const withSelect = document.getElementById('compareWith');
+        const mixInput = document.getElementById('compareMix');
+        const summary = document.getElementById('compareSummary');
+        const stage = document.getElementById('compareStage');
+        const regionList = document.getElementById('compareRegions');
+
+        let mode = 'side';
+        let before = null;  // { id, meta, img }
+        let after = null;
+        let result = null;  // FPCDiff.pixelDiff() of before/after
+        let urls = [];
+        let token = 0;      // drops results of a comparison that was superseded
+
+        document.querySelectorAll('#compareModes [data-mode]').forEach((btn) => {
+            btn.addEventListener('click', () => setMode(btn.dataset.mode));
+        });
+        mixInput.addEventListener('input', () => applyMix());
+        withSelect.addEventListener('change', () => compareWith(Number(withSelect.value)));
+        document.getElementById('compareClose').addEventListener('click', close);
+        window.addEventListener('resize', () => { if (!panel.hidden) render(); });
+
+        async function open() {
+            panel.hidden = false;
+            const others = (await FPCHistory.list()).filter((r) => r.url === current.meta.url && r.id !== current.id);
+            withSelect.replaceChildren(...others.map((r) => {
+                const opt = document.createElement('option');
+                opt.value = r.id;
+                opt.textContent = `${new Date(r.createdAt).toLocaleString()} · ${r.width}×${r.height}`;
+                return opt;
+            }));
+            if (!others.length) {
+                summary.textContent = 'No other capture of this page in the history.';
+                stage.replaceChildren();
+                regionList.replaceChildren();
+                return;
+            }
+            // default: the newest capture taken before this one
+            const earlier = others.find((r) => r.createdAt < current.meta.createdAt) || others[0];
+            withSelect.value = earlier.id;
+            await compareWith(earlier.id);
+        }
+
+        function close() {
+            panel.hidden = true;
+            token++;
+        }
+
+        async function loadCapture(id, meta) {
+            const blobs = await FPCHistory.getImages(id);
+            if (!blobs || !blobs.length) throw new Error('capture no longer in the history');
+            const url = URL.createObjectURL(blobs[Math.min(current.part, blobs.length - 1)]);
+            urls.push(url);
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+            return { id, meta: meta || await FPCHistory.get(id), img };
+        }
+
+        async function compareWith(id) {
+            const my = ++token;
+            urls.forEach((u) => URL.revokeObjectURL(u));
+            urls = [];
+            result = null;
+            summary.textContent = 'Loading…';
+            try {
+                after = await loadCapture(current.id, current.meta);
+                before = await loadCapture(id);
+                if (my !== token) return;
+                render();
+                const diff = await FPCDiff.pixelDiff(before.img, after.img, {}, (p) => {
+                    if (my === token) summary.textContent = `Comparing… ${Math.round(p * 100)}%`;
+                });
+                const distance = FPCDiff.hamming(await FPCDiff.computePHash(before.img), await FPCDiff.computePHash(after.img));
+                if (my !== token) return;
+                result = { ...diff, distance };
+                showSummary();
+                render();
+            } catch (err) {
+                if (my === token) summary.textContent = 'Compare failed: ' + (err && err.message ? err.message : err);
+            }
+        }
+
+        function showSummary() {
+            const b = before.img, a = after.img;
+            const parts = [
+                `Similarity ${((1 - result.ratio) * 100).toFixed(result.ratio > 0 && result.ratio < 0.001 ? 2 : 1)}%`,
+                `pHash distance ${result.distance}/64`,
+                result.regions.length ? `${result.regions.length} changed region${result.regions.length === 1 ? '' : 's'}` : 'no visible changes'
+            ];
+            if (b.naturalWidth !== a.naturalWidth || b.naturalHeight !== a.naturalHeight) {
+                parts.push(`size ${b.naturalWidth}×${b.naturalHeight} → ${a.naturalWidth}×${a.naturalHeight}`);
+            }
+            summary.textContent = parts.join(' · ');
+
+            regionList.replaceChildren(...result.regions.map((r, i) => {
+                const li = document.createElement('li');
+                li.textContent = `${r.w}×${r.h} at ${r.x},${r.y} (${Math.round(r.pixels / (r.w * r.h) * 100)}% changed)`;
+                li.addEventListener('click', () => focusRegion(i));
+                return li;
+            }));
+        }
+
+        function setMode(m) {
+            if (!MODES.includes(m)) return;
+            mode = m;
+            document.querySelectorAll('#compareModes [data-mode]').forEach((btn) => btn.classList.toggle('active', btn.dataset.mode === m));
+            mixInput.hidden = !(m === 'swipe' || m === 'onion');
+            mixInput.title = m === 'swipe' ? 'Swipe position' : 'Opacity of this capture';
+            render();
+        }
+
+        // ---------- render ----------
+        // All modes fit the wider image to the stage width (never upscaled)
+        function scaleFor(columns) {
+            const w = Math.max(before.img.naturalWidth, after.img.naturalWidth);
+            const avail = (stage.clientWidth - 24 * (columns + 1)) / columns;
+            return Math.min(1, avail / w);
+        }
+
+        function scaledImg(img, s) {
+            const el = img.cloneNode();
+            el.style.width = `${img.naturalWidth * s}px`;
+            el.style.height = `${img.naturalHeight * s}px`;
+            return el;
+        }
+
+        function layer(s, label) {
+            const w = Math.max(before.img.naturalWidth, after.img.naturalWidth);
+            const h = Math.max(before.img.naturalHeight, after.img.naturalHeight);
+            const el = document.createElement('div');
+            el.className = 'cmp-layer';
+            el.style.width = `${w * s}px`;
+            el.style.height = `${h * s}px`;
+            if (label) el.dataset.label = label;
+            return el;
+        }
+
+        function caption(c) {
+            return `${c.id === current.id ? 'This capture' : 'Earlier'} · ${new Date(c.meta.createdAt).toLocaleString()}`;
+        }
+
+        function render() {
+            if (!before || !after) return;
+            const scroll = stage.scrollTop;
+            const figures = [];
+
+            if (mode === 'side') {
+                const s = scaleFor(2);
+                for (const c of [before, after]) {
+                    const l = layer(s, caption(c));
+                    l.appendChild(scaledImg(c.img, s));
+                    figures.push(addRegions(l, s));
+                }
+            } else if (mode === 'diff') {
+                const s = scaleFor(1);
+                const l = layer(s, 'Pixel diff (red: changed)');
+                if (result) {
+                    const c = result.canvas;
+                    c.style.width = `${c.width * s}px`;
+                    c.style.height = `${c.height * s}px`;
+                    l.appendChild(c);
+                } else {
+                    l.appendChild(scaledImg(after.img, s));
+                }
+                figures.push(addRegions(l, s));
+            } else {
+                // swipe/onion: earlier capture at the bottom, this capture on top
+                const s = scaleFor(1);
+                const l = layer(s, mode === 'swipe' ? 'Earlier ◀ | ▶ This capture' : 'Onion skin');
+                const bottom = scaledImg(before.img, s);
+                const top = scaledImg(after.img, s);
+                top.classList.add('cmp-top');
+                l.append(bottom, top);
+                if (mode === 'swipe') {
+                    const handle = document.createElement('div');
+                    handle.className = 'cmp-handle';
+                    l.appendChild(handle);
+                }
+                figures.push(addRegions(l, s));
+            }
+
+            stage.className = `mode-${mode}`;
+            stage.replaceChildren(...figures);
+            stage.scrollTop = scroll;
+            applyMix();
+        }
+
+        function addRegions(l, s) {
+            if (!result) return l;
+            result.regions.forEach((r, i) => {
+                const box = document.createElement('div');
+                box.className = 'cmp-region';
+                box.style.cssText = `left:${r.x * s}px;top:${r.y * s}px;width:${Math.max(2, r.w * s)}px;height:${Math.max(2, r.h * s)}px`;
+                box.dataset.n = i + 1;
+                l.appendChild(box);
+            });
+            return l;
+        }
+
+        function applyMix() {
+            const v = Number(mixInput.value);
+            const top = stage.querySelector('.cmp-top');
+            if (!top) return;
+            if (mode === 'swipe') {
+                top.style.opacity = '';
+                top.style.clipPath = `inset(0 0 0 ${v}%)`;
+                const handle = stage.querySelector('.cmp-handle');
+                if (handle) handle.style.left = `${v}%`;
+            } else {
+                top.style.clipPath = '';
+                top.style.opacity = String(v / 100);
+            }
+        }
+
+        function focusRegion(i) {
+            const boxes = stage.querySelectorAll(`.cmp-region[data-n="${i + 1}"]`);
+            if (!boxes.length) return;
+            const layerTop = boxes[0].parentElement.offsetTop;
+            stage.scrollTo({ top: Math.max(0, layerTop + boxes[0].offsetTop - 60), behavior: 'smooth' });
+            boxes.forEach((b) => {
+                b.classList.remove('flash');
+                void b.offsetWidth; // restart the animation
+                b.classList.add('flash');
+            });
+        }
+
+        setMode(mode);
+        return { open, close };
+    }
+
+    self.FPCCompare = { MODES, create };
+})();
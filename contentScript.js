@@ -4,7 +4,24 @@
 // - Adaptive scrolling (reflow-aware)
 // - Footer final sweep (lazy-load aware)
 // - pHash duplicate guard for last tile
-// - JPG export only
+// - JPG / PNG / WebP / PDF export (exporter.js)
+// - Output split into parts at the browser's canvas size/area limits
+// - Optional redaction of passwords/emails/cards/phones/selectors, restored afterwards
+// - Tuning knobs from synced settings with per-site overrides (settings.js)
+// - Output path shared with the DevTools engine (deliver-capture)
+// - Visible-area, region (drag), element (hover + click / right-clicked node) and selection modes
+// - Seams located by overlap matching (NCC), scroll offset as fallback
+// - 2D tiling (column strips) for horizontally scrolling pages
+// - Result reported to background.js (capture-done); batch runs skip downloads and the viewer
+// - Device-preset runs (emulated viewport): labeled outputs and an optional contact sheet
+// - Sticky bands: optional pre-capture review, per-site hide/keep selector rules, restorable hiding
+// - Progress (phase, tiles, estimated total) to the HUD and popup; pause/resume and clean cancel
+// - Scroll-area mode (pick the pane to capture); iframes grown to their full content height
+// - Expansion before capture: "load more", details/accordions, eager lazy images; virtualized lists tile by tile
+// - Source metadata (URL, title, time, viewport, DPR, UA, scroller) embedded or as sidecar; PDF text layer
+// - Page archive next to a full-page capture: MHTML and/or single-file HTML of the captured DOM state
+// - Tiles decoded, hashed, stitched and saved by the offscreen tile pipeline (pipeline.js); the page
+//   only keeps tile indexes, sizes and hashes
 
 (() => {
   if (window.__FPC_INSTALLED__) return;
@@ -13,42 +30,214 @@
   const RT = chrome.runtime;
 
   // ---------- config ----------
-  const CFG = {
-    minCaptureGapMs: 550,
-    captureRetries: 3,
-    captureRetryBaseMs: 280,
-    domStableWindowMs: 800,
-    domStableTimeoutMs: 4000,
-    viewportSettleMs: 250,
-    maxTiles: 120,
-    bottomStableChecks: 6,
-    bottomStableIntervalMs: 350,
-    phashNearDupe: 5,       // hamming distance < 5 => duplicate
-    debugHud: true
-  };
+  // Defaults and ranges live in settings.js; background.js sends the synced + per-site values
+  // with every start message (msg.cfg) and they are applied on top of the defaults per run.
+  const CFG = { ...FPCSettings.DEFAULTS.capture };
+
+  // pHash duplicate guard: the pipeline hashes every tile, compared here (imagediff.js)
+  const { hamming } = FPCDiff;
+  const hashOf = (tile) => BigInt('0x' + tile.hash);
 
   // ---------- runtime state ----------
   let busy = false;
   let lastCaptureAt = 0;
   let observers = [];
   let dynamicObserver = null;
+  let output = FPCExport.normalize(null); // format/quality/paper for the current run (exporter.js)
+  let redactor = null;                      // sensitive-content masking for the current run, see createRedactor()
+  let batchRun = false;                     // part of a batch (background.js): results only go to the history
+  let device = null;                        // device preset of a responsive run: { id, label, width, dpr, ... }
+  let keepForSheet = false;                 // this device capture goes on the contact sheet
+  let session = null;                       // tile pipeline session of the current run (pipeline.js, via background.js)
+  let sheet = null;                         // { session, shots }: pipeline session keeping this responsive run's captures for the contact sheet
+  let bandRules = { hide: [], keep: [] };   // this site's sticky-band selector rules (settings.js)
+  let control = { cancelled: false, paused: false }; // set by the HUD buttons / capture-control
+  let activeHud = null;                     // HUD of the running capture, hidden while tiles are taken
+  let pageText = null;                      // text runs seen by the current capture, see textCollector()
+  let archive = null;                       // DOM record taken at the end of a full-page capture, see snapshotPage()
 
   // ---------- entry ----------
-  RT.onMessage.addListener((msg) => {
-    if (msg?.action === 'start-capture') {
-      if (busy) return;
+  const RUNNERS = {
+    'start-capture': () => startCapture(),
+    'start-visible-capture': () => startVisibleCapture(),
+    'start-region-capture': () => startRegionCapture(),
+    'start-element-capture': (msg) => startElementCapture(msg),
+    'start-selection-capture': () => startSelectionCapture(),
+    'start-pane-capture': () => startPaneCapture()
+  };
+
+  RT.onMessage.addListener((msg, _sender, sendResponse) => {
+    const run = RUNNERS[msg?.action];
+    if (run) {
+      if (busy) { sendResponse({ accepted: false, error: 'capture already running' }); return; }
+      busy = true;
+      Object.assign(CFG, FPCSettings.DEFAULTS.capture, msg.cfg);
+      output = FPCExport.normalize(msg.output);
+      redactor = createRedactor(msg.redact);
+      pageText = null;
+      archive = null;
+      bandRules = { hide: msg.bands?.hide || [], keep: msg.bands?.keep || [] };
+      batchRun = !!msg.batch;
+      device = msg.device || null;
+      if (!device && sheet) dropSession(sheet.session);
+      if (!device) sheet = null;
+      keepForSheet = !!(device && msg.contactSheet);
+      if (keepForSheet && !sheet) sheet = { session: newSessionId(), shots: 0 };
+      control = { cancelled: false, paused: false };
+      session = newSessionId();
+      run(msg).then(reportDone, reportFailure).finally(() => {
+        redactor?.restore();
+        redactor = null;
+        if (archive) endArchive(); // taken, but the capture failed before saving it
+        archive = null;
+        dropSession(session);
+        busy = false;
+      });
+      sendResponse({ accepted: true });
+    }
+
+    // background -> content: mask/unmask around the DevTools engine's single shot
+    if (msg?.action === 'redact-apply') {
+      redactor?.restore();
+      redactor = createRedactor(msg.redact);
+      const masked = redactor ? redactor.scan() : 0;
+      nextFrame().then(() => sendResponse({ masked }));
+      return true;
+    }
+    if (msg?.action === 'redact-restore') {
+      redactor?.restore();
+      redactor = null;
+      sendResponse({ ok: true });
+    }
+
+    // background -> content: finished image from the DevTools engine, reuse our output path
+    if (msg?.action === 'deliver-capture') {
+      if (busy) { sendResponse({ accepted: false, error: 'capture already running' }); return; }
       busy = true;
-      startCapture().catch(err => {
-        console.error('[FPC] failed:', err);
-        alert('Capture failed: ' + (err?.message || err));
-      }).finally(() => { busy = false; });
+      output = FPCExport.normalize(msg.output);
+      batchRun = !!msg.batch;
+      device = null;
+      keepForSheet = false;
+      session = msg.session;
+      deliverOutput([{ tile: msg.tile.index }], null)
+        .then(reportDone, reportFailure).finally(() => {
+          dropSession(session);
+          busy = false;
+        });
+      sendResponse({ accepted: true });
+    }
+
+    // background -> content: all device presets are done, combine them into one image
+    if (msg?.action === 'deliver-contact-sheet') {
+      if (busy) { sendResponse({ accepted: false, error: 'capture already running' }); return; }
+      if (!sheet?.shots) { sendResponse({ accepted: false, error: 'no device captures to combine' }); return; }
+      busy = true;
+      output = FPCExport.normalize(msg.output);
+      batchRun = false;
+      device = null;
+      keepForSheet = false;
+      session = sheet.session;
+      sheet = null;
+      deliverOutput(null, null, 'contact-sheet')
+        .then(reportDone, reportFailure).finally(() => {
+          dropSession(session);
+          busy = false;
+        });
+      sendResponse({ accepted: true });
+    }
+
+    // popup -> background -> content: pause / resume / cancel the running capture
+    if (msg?.action === 'capture-control') {
+      if (!busy) { sendResponse({ ok: false, error: 'no capture running' }); return; }
+      if (msg.command === 'cancel') cancelRun();
+      else setPaused(msg.command === 'pause');
+      sendResponse({ ok: true, paused: control.paused, cancelled: control.cancelled });
+    }
+
+    // background -> content: pipeline sessions this page still uses (the rest is closed after a navigation)
+    if (msg?.action === 'capture-sessions') {
+      sendResponse({ run: busy ? session : null, sheet: sheet ? sheet.session : null });
+    }
+
+    // background -> content: user-facing notice (e.g. the outcome of a responsive run)
+    if (msg?.action === 'notify') {
+      toast(msg.text);
+      sendResponse({ ok: true });
     }
   });
 
+  // Outcome of a run for background.js (batch mode waits on it, the popup shows it). Runners
+  // resolve with the history id, or undefined when the user cancelled a picker or the review.
+  function reportDone(id) {
+    if (id == null) return reportFailure(new CaptureCancelled());
+    RT.sendMessage({ action: 'capture-done', success: true, id }).catch(() => {});
+  }
+
+  function reportFailure(err) {
+    const cancelled = err instanceof CaptureCancelled;
+    const error = err?.message || String(err);
+    if (!cancelled) console.error('[FPC] failed:', err);
+    if (!batchRun) toast(cancelled ? 'Capture cancelled.' : 'Capture failed: ' + error, cancelled ? 3000 : 9000);
+    RT.sendMessage({ action: 'capture-done', success: false, cancelled, error }).catch(() => {});
+  }
+
+  // ---------- run control ----------
+  class CaptureCancelled extends Error {
+    constructor() {
+      super('cancelled');
+      this.name = 'CaptureCancelled';
+    }
+  }
+
+  // Called between steps of the long loops: waits while paused, throws once cancelled so the
+  // finally blocks restore the page (locks, observers, scroll position)
+  async function checkpoint() {
+    while (control.paused && !control.cancelled) await delay(150);
+    if (control.cancelled) throw new CaptureCancelled();
+  }
+
+  function cancelRun() {
+    control.cancelled = true;
+    setHud(activeHud, 'Cancelling…');
+  }
+
+  function setPaused(paused) {
+    if (control.cancelled) return;
+    control.paused = paused;
+    const btn = activeHud?.querySelector('[data-role="pause"]');
+    if (btn) btn.textContent = paused ? 'Resume' : 'Pause';
+    RT.sendMessage({ action: 'capture-progress', ...lastProgress, paused }).catch(() => {});
+  }
+
+  // Progress for the HUD and, through background.js, the popup.
+  // phase: preparing | expanding | review | capturing | footer | archiving | stitching | saving; tiles/total: total is an estimate
+  let lastProgress = {};
+  function progress(hud, phase, text, tiles = null, total = null) {
+    setHud(hud, text);
+    lastProgress = { phase, text, tiles, total };
+    RT.sendMessage({ action: 'capture-progress', ...lastProgress, paused: control.paused }).catch(() => {});
+  }
+
   // ---------- main ----------
   async function startCapture() {
     const hud = CFG.debugHud ? makeHud() : null;
-    setHud(hud, 'Preparing…');
+    let collapse = null;
+    try {
+      collapse = await expandContent(hud);
+      if (CFG.expandFrames) {
+        progress(hud, 'preparing', 'Expanding frames…');
+        await expandFrames();
+      }
+      return await captureFullPage(hud);
+    } finally {
+      restoreFrames();
+      if (collapse) collapse();
+      killHud(hud);
+    }
+  }
+
+  async function captureFullPage(hud) {
+    progress(hud, 'preparing', 'Preparing…');
 
     await waitForLoad();
     await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
@@ -56,117 +245,810 @@
     const scrollEl = findScrollable();
     const imgs = [];
     let lastHash = null;
+    const origTop = scrollEl.scrollTop, origLeft = scrollEl.scrollLeft;
+    // Virtualized lists unmount rows that leave the viewport: once one is seen in the scroller, the
+    // loop waits for the feed to grow at the bottom and the end is never jumped to
+    const virtual = CFG.virtualLists ? watchVirtualization(scrollEl) : null;
+    // the stitched image starts at the scroller's origin; text is taken at every scroll position
+    if (wantsText()) pageText = textCollector(() => ({ left: -scrollEl.scrollLeft, top: -scrollEl.scrollTop }), () => visibleBounds(scrollEl));
 
     // scroll top + settle
     scrollEl.scrollTo({ top: 0, left: 0, behavior: 'auto' });
     await delay(CFG.viewportSettleMs);
 
-    // Detect bands/overlays
-    const headers = detectHeaders();
-    const footers = detectFooters();
-    const overlays = detectOverlays();
-    const headerBandPx = measureHeaderBand(headers);
+    // Detect bands/overlays; the site's rules and (optionally) the user decide what gets hidden
+    const candidates = detectBands();
+    let hidden = candidates.filter(el => !isKept(el));
+    if (CFG.reviewBands && candidates.length && !batchRun) {
+      progress(hud, 'review', 'Waiting for the sticky-element review…');
+      if (hud) hud.style.visibility = 'hidden';
+      const choice = await reviewBands(candidates);
+      if (hud) hud.style.visibility = '';
+      if (!choice) { scrollEl.scrollTo({ top: origTop, left: origLeft, behavior: 'auto' }); return; } // cancelled
+      hidden = choice.hide;
+      if (choice.remember) await rememberBands(choice);
+    }
+    const kept = candidates.filter(el => !hidden.includes(el));
+    const headerBandPx = measureHeaderBand(hidden);
     const cropTopDpx = Math.max(0, Math.round(headerBandPx * (window.devicePixelRatio || 1)));
 
-    // First tile WITH header
-    setHud(hud, 'Capturing top…');
-    const topData = await safeCapture();
-    const topImg  = await loadImage(topData);
-    imgs.push({ img: topImg, cropTop: 0 });
-    lastHash = await computePHash(topImg);
-
-    // Now hide sticky/fixed candidates
-    const locks = hideAndLock([...headers, ...footers, ...overlays]);
-    dynamicObserver = observeAndNukeNewBands();
-    await delay(300);
-
-    // Adaptive loop
-    const vpH = window.innerHeight;
-    let step = Math.max(24, vpH - headerBandPx);
-    let prevScrollTop = 0;
-    let target = step;
-    let tiles = 1;
-
-    while (true) {
-      if (tiles >= CFG.maxTiles) { console.warn('[FPC] safety max tiles hit'); break; }
-
-      // if already near bottom, leave loop (final sweep will handle)
-      const maxTop = scrollEl.scrollHeight - vpH - 2;
-      if (scrollEl.scrollTop >= maxTop) break;
-
-      scrollEl.scrollTo({ top: target, left: 0, behavior: 'auto' });
+    // Wide pages: every row is captured as a strip of columns (2D grid).
+    // Horizontally sticky elements (frozen table columns) are pinned so they appear only once.
+    const xs = columnOffsets(scrollEl);
+    const locks = xs.length > 1 ? pinStickyColumns() : [];
+
+    // Everything hidden from here on is restored in the finally block, also when the capture
+    // fails or is cancelled; the page is scrolled back to where the user left it
+    try {
+      // First row WITH header. On a wide page only its first column: for the other columns the bands
+      // are made invisible (layout kept, the columns must line up), or each would get a copy.
+      await checkpoint();
+      progress(hud, 'capturing', 'Capturing top…', 1, estimateTiles(scrollEl, window.innerHeight - headerBandPx - CFG.seamOverlapPx, 1));
+      let rowLocks = [];
+      let top;
+      try {
+        top = await captureRow(scrollEl, xs, pageText, async () => {
+          rowLocks = hideAndLock(hidden, { keepLayout: true });
+          await nextFrame();
+        });
+      } finally {
+        cleanupLocks(rowLocks);
+      }
+      imgs.push({ tile: top.tile.index, scale: top.scale, cropTop: 0, scrollTop: scrollEl.scrollTop, validTop: cropTopDpx });
+      lastHash = hashOf(top.tile);
+
+      // Now hide sticky/fixed candidates
+      locks.push(...hideAndLock(hidden));
+      dynamicObserver = observeAndHideNewBands(locks, [...kept, ...locks.map(l => l.el)]);
+      await delay(300);
+
+      // Adaptive loop
+      const vpH = window.innerHeight;
+      let step = Math.max(24, vpH - headerBandPx - CFG.seamOverlapPx);
+      let prevScrollTop = 0;
+      let target = step;
+      let tiles = 1;
+
+      while (true) {
+        await checkpoint();
+        if (tiles >= CFG.maxTiles) { console.warn('[FPC] safety max tiles hit'); break; }
+
+        // if already near bottom, leave loop (final sweep will handle)
+        const maxTop = scrollEl.scrollHeight - vpH - 2;
+        if (scrollEl.scrollTop >= maxTop) {
+          if (virtual?.detected && await waitForGrowth(scrollEl)) continue; // next page of the feed
+          break;
+        }
+
+        scrollEl.scrollTo({ top: target, left: 0, behavior: 'auto' });
+        await delay(CFG.viewportSettleMs);
+        await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
+
+        const actualTop = scrollEl.scrollTop;
+        if (Math.abs((actualTop - prevScrollTop) - step) > Math.max(12, step * 0.25)) {
+          step = Math.max(16, actualTop - prevScrollTop); // adapt to reflow
+        }
+        prevScrollTop = actualTop;
+
+        const total = estimateTiles(scrollEl, step, tiles + 1);
+        progress(hud, 'capturing', xs.length > 1
+          ? `Capturing… (row ${tiles + 1} of ~${total} × ${xs.length} columns)`
+          : `Capturing… (${tiles + 1} of ~${total})`, tiles + 1, total);
+        const { tile, scale } = await captureRow(scrollEl, xs, pageText);
+        const h = hashOf(tile);
+
+        // simple duplicate guard (helps when bottom area doesn't change)
+        if (lastHash && hamming(h, lastHash) < CFG.phashNearDupe) {
+          console.log('[FPC] duplicate-ish tile — stopping loop.');
+          break;
+        }
+        lastHash = h;
+        imgs.push({ tile: tile.index, scale, cropTop: cropTopDpx, scrollTop: actualTop });
+        tiles++;
+        target = actualTop + step;
+      }
+
+      // Final footer sweep — let lazy loads finish (a virtualized list is already at its end,
+      // jumping further would skip rows that were never on screen)
+      if (!virtual?.detected) {
+        await checkpoint();
+        progress(hud, 'footer', 'Finalizing footer…', tiles, tiles + 1);
+        await driveToBottom(scrollEl, vpH);
+        await delay(500);
+
+        const final = await captureRow(scrollEl, xs, pageText);
+        const finalHash = hashOf(final.tile);
+        if (!lastHash || hamming(finalHash, lastHash) >= CFG.phashNearDupe) {
+          imgs.push({ tile: final.tile.index, scale: final.scale, cropTop: cropTopDpx, scrollTop: scrollEl.scrollTop });
+        }
+      }
+
+      // DOM record of the same moment, while the bands are still hidden (saved with the image)
+      if (output.archive !== 'none' && !batchRun) archive = await snapshotPage(hud, locks);
+    } finally {
+      if (virtual) virtual.disconnect();
+      cleanupLocks(locks);
+      if (dynamicObserver) dynamicObserver.disconnect();
+      dynamicObserver = null;
+      scrollEl.scrollTo({ top: origTop, left: origLeft, behavior: 'auto' });
+    }
+
+    // Stitch (in the pipeline)
+    await checkpoint();
+    return deliverOutput(imgs, hud, 'fullpage', scrollEl);
+  }
+
+  // Rows still to go at the current step, from scrollHeight (pages that grow raise it on the fly)
+  function estimateTiles(scrollEl, step, done) {
+    const rest = scrollEl.scrollHeight - scrollEl.scrollTop - window.innerHeight;
+    return done + Math.max(0, Math.ceil(rest / Math.max(1, step))) + 1;
+  }
+
+  // ---------- 2D grid ----------
+  // scrollLeft positions for one row: [0] unless the scroller overflows horizontally
+  function columnOffsets(scrollEl) {
+    const cw = scrollEl.clientWidth;
+    const maxLeft = scrollEl.scrollWidth - cw;
+    if (maxLeft <= 2 || cw <= 0) return [0];
+    const xs = [];
+    for (let x = 0; x < maxLeft; x += cw) xs.push(x);
+    xs.push(maxLeft);
+    return xs;
+  }
+
+  // Capture the current row: the plain viewport tile, or every column composed into one strip.
+  // Resolves with { tile, scale }: the pipeline's tile and device px per CSS px.
+  // afterFirst: awaited between the first column and the rest (wide pages only)
+  async function captureRow(scrollEl, xs, text = null, afterFirst = null) {
+    if (xs.length === 1) {
+      const tile = await safeCapture();
+      text?.collect();
+      return { tile, scale: tile.width / window.innerWidth };
+    }
+    const top = scrollEl.scrollTop;
+    const cols = [];
+    for (const x of xs) {
+      if (cols.length === 1 && afterFirst) await afterFirst();
+      scrollEl.scrollTo({ top, left: x, behavior: 'auto' });
       await delay(CFG.viewportSettleMs);
-      await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
+      cols.push({ tile: await safeCapture(), left: scrollEl.scrollLeft });
+      text?.collect();
+    }
+    scrollEl.scrollTo({ top, left: 0, behavior: 'auto' });
+    return composeRow(cols, scrollEl);
+  }
+
+  // Lay the columns side by side at their scrollLeft (the pipeline draws them). For the document
+  // scroller the strip is cropped to the client box (no scrollbars); for inner panes the chrome
+  // around the pane is kept.
+  async function composeRow(cols, scrollEl) {
+    const first = cols[0].tile;
+    const scale = first.width / window.innerWidth;
+    const box = visibleBounds(scrollEl);
+    const bx = Math.round(box.left * scale), bw = Math.round((box.right - box.left) * scale);
+    const extra = Math.round((scrollEl.scrollWidth - scrollEl.clientWidth) * scale);
+    const doc = isDocumentScroller(scrollEl);
+
+    const res = await RT.sendMessage({
+      action: 'pipeline-compose-row',
+      session,
+      cols: cols.map(c => ({ index: c.tile.index, x: Math.round(c.left * scale) })),
+      bx, bw, extra,
+      width: doc ? bx + bw + extra : first.width + extra,
+      height: doc ? Math.round(box.bottom * scale) : first.height,
+      keepRight: !doc
+    });
+    if (!res?.success) throw new Error('could not compose the row: ' + (res?.error || 'unknown error'));
+    return { tile: res, scale };
+  }
+
+  // position:sticky with a left/right inset would repeat in every column — make it scroll normally
+  function pinStickyColumns() {
+    const locks = [];
+    for (const el of document.querySelectorAll('body *')) {
+      const s = getComputedStyle(el);
+      if (s.position !== 'sticky' || (s.left === 'auto' && s.right === 'auto')) continue;
+      locks.push({
+        el,
+        display: el.style.display,
+        visibility: el.style.visibility,
+        opacity: el.style.opacity,
+        pointerEvents: el.style.pointerEvents,
+        position: el.style.position
+      });
+      el.style.setProperty('position', 'relative', 'important');
+    }
+    return locks;
+  }
+
+  // ---------- visible / region / element / selection ----------
+  async function startVisibleCapture() {
+    await waitForLoad();
+    const tile = await safeCapture();
+    return deliverOutput([{ tile: tile.index }], null, 'visible');
+  }
+
+  async function startRegionCapture(rect = null) {
+    rect = rect || await pickRegion();
+    if (!rect) return; // cancelled
+    const scrollEl = findScrollable();
+    const top0 = scrollEl.scrollTop, left0 = scrollEl.scrollLeft;
+    // keep the rect pinned to page content while the scroller moves
+    const getRect = () => {
+      const dy = scrollEl.scrollTop - top0, dx = scrollEl.scrollLeft - left0;
+      return { top: rect.top - dy, bottom: rect.bottom - dy, left: rect.left - dx, right: rect.right - dx, height: rect.height };
+    };
+    const slices = await captureRect(getRect, scrollEl, null);
+    return deliverOutput(slices, null, 'region', scrollEl);
+  }
+
+  // msg.useContextTarget: capture the node under the last right-click (contextTarget.js) without picking;
+  // msg.selector (external API): the first element it matches
+  async function startElementCapture(msg) {
+    const target = self.__FPC_CONTEXT_TARGET__;
+    let el;
+    if (msg?.selector) {
+      el = document.querySelector(msg.selector);
+      if (!el) throw new Error(`no element matches "${msg.selector}"`);
+    } else {
+      el = msg?.useContextTarget && target?.isConnected ? target : await pickElement();
+    }
+    if (!el) return; // cancelled
+    const scrollEl = scrollParent(el);
+    const slices = await captureRect(() => el.getBoundingClientRect(), scrollEl, el);
+    return deliverOutput(slices, null, 'element', scrollEl);
+  }
+
+  // The current text selection's bounding box; without a selection, drag a region instead
+  async function startSelectionCapture() {
+    const sel = window.getSelection();
+    const r = sel && sel.rangeCount && !sel.isCollapsed ? sel.getRangeAt(0).getBoundingClientRect() : null;
+    const rect = r && r.width >= 1 && r.height >= 1
+      ? { left: r.left, top: r.top, right: r.right, bottom: r.bottom, width: r.width, height: r.height }
+      : null;
+    if (!rect) return startRegionCapture();
+    // the selection highlight is not part of the content; put it back afterwards
+    const range = sel.getRangeAt(0);
+    sel.removeAllRanges();
+    try {
+      return await startRegionCapture(rect);
+    } finally {
+      sel.addRange(range);
+    }
+  }
+
+  // Pick one of the page's scroll containers (highlighted on the page) and capture its whole content.
+  // The document itself runs the full-page flow; an iframe is grown to its content height first.
+  async function startPaneCapture() {
+    const target = await pickScrollContainer();
+    if (!target) return; // cancelled
+    if (isDocumentScroller(target)) return startCapture();
+    if (target.localName === 'iframe') {
+      try {
+        await expandFrames([target]);
+        const scrollEl = scrollParent(target);
+        const slices = await captureRect(() => target.getBoundingClientRect(), scrollEl, target);
+        return deliverOutput(slices, null, 'frame', scrollEl);
+      } finally {
+        restoreFrames();
+      }
+    }
+    // the container's full scroll content, in viewport coordinates, following its scroll position
+    const content = () => {
+      const b = target.getBoundingClientRect();
+      const top = b.top + target.clientTop - target.scrollTop, left = b.left + target.clientLeft;
+      return { top, bottom: top + target.scrollHeight, left, right: left + target.clientWidth, height: target.scrollHeight };
+    };
+    const collapse = await expandContent(null);
+    try {
+      const slices = await captureRect(content, target, target);
+      return deliverOutput(slices, null, 'pane', target);
+    } finally {
+      collapse();
+    }
+  }
+
+  // Scroll a (viewport-relative, live) rect through the visible area of `scrollEl` and capture
+  // each slice with safeCapture(). Resolves with the cropped tiles for deliverOutput().
+  async function captureRect(getRect, scrollEl, keepEl) {
+    const hud = CFG.debugHud ? makeHud() : null;
+    progress(hud, 'preparing', 'Preparing…');
+    await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
+
+    const origTop = scrollEl.scrollTop;
+    const start = getRect();
+    let total = start.height;
+    const view = visibleBounds(scrollEl);
+    scrollEl.scrollTop += start.top - view.top;
+    await delay(CFG.viewportSettleMs);
+
+    const parts = [];
+    let covered = 0;
+    let locks = [];
+    // the output starts at the rect's top and at its left edge where that is on screen
+    if (wantsText()) {
+      pageText = textCollector(() => {
+        const r = getRect();
+        return { left: Math.max(r.left, visibleBounds(scrollEl).left), top: r.top };
+      }, () => {
+        const r = getRect(), v = visibleBounds(scrollEl);
+        return { top: Math.max(r.top, v.top), bottom: Math.min(r.bottom, v.bottom), left: Math.max(r.left, v.left), right: Math.min(r.right, v.right) };
+      });
+    }
+    try {
+      while (covered < total - 0.5 && parts.length < CFG.maxTiles) {
+        await checkpoint();
+        const r = getRect();
+        total = r.height; // virtualized panes correct their estimated height as rows render
+        const v = visibleBounds(scrollEl);
+        const top = Math.max(v.top, r.top + covered);
+        const bottom = Math.min(v.bottom, r.bottom);
+        if (bottom - top < 1) break;
+
+        const expected = parts.length + Math.ceil((total - covered) / Math.max(1, v.bottom - v.top));
+        progress(hud, 'capturing', `Capturing… (${parts.length + 1} of ~${expected})`, parts.length + 1, expected);
+        const tile = await safeCapture();
+        pageText?.collect();
+        const scale = tile.width / window.innerWidth;
+        const left = Math.max(v.left, r.left), right = Math.min(v.right, r.right);
+        parts.push({
+          tile: tile.index,
+          sx: Math.round(left * scale), sw: Math.round((right - left) * scale),
+          sy: Math.round(top * scale), sh: Math.round((bottom - top) * scale)
+        });
+        covered += bottom - top;
+
+        // after the first slice, fixed/sticky bars would cover the target — hide them in place
+        if (parts.length === 1) {
+          const bars = detectBands()
+            .filter(x => !isKept(x))
+            .filter(x => !keepEl || (!x.contains(keepEl) && !keepEl.contains(x)));
+          locks = hideAndLock(bars, { keepLayout: true });
+        }
 
-      const actualTop = scrollEl.scrollTop;
-      if (Math.abs((actualTop - prevScrollTop) - step) > Math.max(12, step * 0.25)) {
-        step = Math.max(16, actualTop - prevScrollTop); // adapt to reflow
+        const before = scrollEl.scrollTop;
+        scrollEl.scrollTop = before + (bottom - top);
+        await delay(CFG.viewportSettleMs);
+        if (scrollEl.scrollTop === before) break; // end of the scroller, nothing more can come into view
       }
-      prevScrollTop = actualTop;
 
-      setHud(hud, `Capturing… (${tiles + 1})`);
-      const url = await safeCapture();
-      const img = await loadImage(url);
-      const h = await computePHash(img);
+      return parts;
+    } finally {
+      cleanupLocks(locks);
+      scrollEl.scrollTop = origTop;
+      killHud(hud);
+    }
+  }
+
+  // Viewport-relative box of what `scrollEl` actually shows
+  function visibleBounds(scrollEl) {
+    const root = document.documentElement;
+    const vp = { top: 0, left: 0, bottom: root.clientHeight || window.innerHeight, right: root.clientWidth || window.innerWidth };
+    if (isDocumentScroller(scrollEl)) return vp;
+    const r = scrollEl.getBoundingClientRect();
+    const top = r.top + scrollEl.clientTop, left = r.left + scrollEl.clientLeft;
+    return {
+      top: Math.max(vp.top, top), left: Math.max(vp.left, left),
+      bottom: Math.min(vp.bottom, top + scrollEl.clientHeight), right: Math.min(vp.right, left + scrollEl.clientWidth)
+    };
+  }
+
+  function isDocumentScroller(el) {
+    return el === document.scrollingElement || el === document.documentElement || el === document.body;
+  }
+
+  function scrollParent(el) {
+    for (let p = el.parentElement; p && p !== document.body && p !== document.documentElement; p = p.parentElement) {
+      const oy = getComputedStyle(p).overflowY;
+      if (/(auto|scroll|overlay)/.test(oy) && p.scrollHeight > p.clientHeight) return p;
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  // Drag a rectangle over the viewport; resolves with a viewport rect or null (Esc)
+  function pickRegion() {
+    return new Promise(resolve => {
+      const shield = document.createElement('div');
+      shield.style.cssText = 'position:fixed;inset:0;z-index:2147483646;cursor:crosshair;background:rgba(0,0,0,.15)';
+      const box = document.createElement('div');
+      box.style.cssText = 'position:fixed;border:2px dashed #fff;outline:1px solid rgba(0,0,0,.6);background:rgba(255,255,255,.08);display:none;pointer-events:none;z-index:2147483647';
+      document.documentElement.append(shield, box);
+
+      let x0 = 0, y0 = 0, dragging = false;
+      const rectOf = (e) => {
+        const left = Math.min(x0, e.clientX), top = Math.min(y0, e.clientY);
+        const right = Math.max(x0, e.clientX), bottom = Math.max(y0, e.clientY);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+      };
+      const done = (val) => {
+        shield.remove(); box.remove();
+        document.removeEventListener('keydown', onKey, true);
+        resolve(val);
+      };
+      const onKey = (e) => { if (e.key === 'Escape') { e.preventDefault(); done(null); } };
+
+      shield.addEventListener('mousedown', e => { dragging = true; x0 = e.clientX; y0 = e.clientY; e.preventDefault(); });
+      shield.addEventListener('mousemove', e => {
+        if (!dragging) return;
+        const r = rectOf(e);
+        Object.assign(box.style, { display: 'block', left: r.left + 'px', top: r.top + 'px', width: r.width + 'px', height: r.height + 'px' });
+      });
+      shield.addEventListener('mouseup', e => {
+        if (!dragging) return;
+        const r = rectOf(e);
+        done(r.width >= 4 && r.height >= 4 ? r : null);
+      });
+      document.addEventListener('keydown', onKey, true);
+    });
+  }
+
+  // Hover to highlight, click to pick; resolves with the element or null (Esc)
+  function pickElement() {
+    return new Promise(resolve => {
+      const hl = document.createElement('div');
+      hl.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;border:2px solid #0078d4;background:rgba(0,120,212,.12);display:none';
+      document.documentElement.appendChild(hl);
+      let current = null;
 
-      // simple duplicate guard (helps when bottom area doesn't change)
-      if (lastHash && hamming(h, lastHash) < CFG.phashNearDupe) {
-        console.log('[FPC] duplicate-ish tile — stopping loop.');
-        break;
+      const onMove = (e) => {
+        const el = document.elementFromPoint(e.clientX, e.clientY);
+        if (!el || el === hl) return;
+        current = el;
+        const r = el.getBoundingClientRect();
+        Object.assign(hl.style, { display: 'block', left: r.left + 'px', top: r.top + 'px', width: r.width + 'px', height: r.height + 'px' });
+      };
+      const swallow = (e) => { e.preventDefault(); e.stopPropagation(); };
+      const onClick = (e) => { swallow(e); done(current); };
+      const onKey = (e) => { if (e.key === 'Escape') { swallow(e); done(null); } };
+      const done = (val) => {
+        hl.remove();
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('mousedown', swallow, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKey, true);
+        resolve(val);
+      };
+      document.addEventListener('mousemove', onMove, true);
+      document.addEventListener('mousedown', swallow, true);
+      document.addEventListener('click', onClick, true);
+      document.addEventListener('keydown', onKey, true);
+    });
+  }
+
+  // Scroll containers worth capturing: the document (when it scrolls), panes with hidden
+  // overflow content and iframes whose document is taller than their box. Every candidate is
+  // outlined and labeled; click one to pick it. Resolves with the element or null (Esc).
+  async function pickScrollContainer() {
+    const doc = document.scrollingElement || document.documentElement;
+    const found = [];
+    if (doc.scrollHeight > window.innerHeight + 16) found.push({ el: doc, label: 'Whole page', height: doc.scrollHeight });
+    for (const el of document.querySelectorAll('body *')) {
+      if (el.clientHeight < 80 || el.clientWidth < 120 || el.scrollHeight <= el.clientHeight + 16) continue;
+      if (!/(auto|scroll|overlay)/.test(getComputedStyle(el).overflowY)) continue;
+      found.push({ el, label: describeBand(el), height: el.scrollHeight });
+    }
+    const frames = visibleFrames();
+    const measured = await Promise.all(frames.map(f => askFrame(f, 'measure', FRAME_REPLY_MS)));
+    frames.forEach((f, i) => {
+      const m = measured[i];
+      if (m && m.height > f.clientHeight + 16) found.push({ el: f, label: `frame ${describeBand(f)}`, height: Math.round(m.height) });
+    });
+    if (!found.length) {
+      toast('No scrollable area found on this page.', 4000);
+      return null;
+    }
+    if (found.length === 1) return found[0].el;
+
+    return new Promise(resolve => {
+      const layer = document.createElement('div');
+      layer.style.cssText = 'position:fixed;inset:0;z-index:2147483646;background:rgba(0,0,0,.25)';
+      // largest first, so nested panes end up on top and stay clickable
+      found.sort((a, b) => (b.el === doc) - (a.el === doc) || areaOf(b.el) - areaOf(a.el));
+      for (const c of found) {
+        const r = c.el === doc
+          ? { left: 0, top: 0, width: document.documentElement.clientWidth, height: document.documentElement.clientHeight }
+          : c.el.getBoundingClientRect();
+        const box = document.createElement('div');
+        box.style.cssText = `position:fixed;left:${r.left}px;top:${r.top}px;width:${r.width}px;height:${r.height}px;box-sizing:border-box;border:3px solid #0078d4;cursor:pointer`;
+        const tag = document.createElement('span');
+        tag.style.cssText = 'position:absolute;left:0;top:0;padding:2px 8px;background:#0078d4;color:#fff;white-space:nowrap;font:12px/1.4 system-ui, -apple-system, Segoe UI, Roboto';
+        tag.textContent = `${c.label} · ${c.height}px tall`;
+        box.appendChild(tag);
+        box.addEventListener('mouseenter', () => { box.style.background = 'rgba(0,120,212,.18)'; box.style.borderColor = '#fff'; });
+        box.addEventListener('mouseleave', () => { box.style.background = ''; box.style.borderColor = '#0078d4'; });
+        box.addEventListener('click', e => { e.preventDefault(); e.stopPropagation(); done(c.el); });
+        layer.appendChild(box);
       }
-      lastHash = h;
-      imgs.push({ img, cropTop: cropTopDpx });
-      tiles++;
-      target = actualTop + step;
-    }
-
-    // Final footer sweep — let lazy loads finish
-    setHud(hud, 'Finalizing footer…');
-    await driveToBottom(scrollEl, vpH);
-    await delay(500);
-
-    const finalData = await safeCapture();
-    const finalImg  = await loadImage(finalData);
-    const finalHash = await computePHash(finalImg);
-    if (!lastHash || hamming(finalHash, lastHash) >= CFG.phashNearDupe) {
-      imgs.push({ img: finalImg, cropTop: cropTopDpx });
-    }
-
-    // Stitch
-    setHud(hud, 'Stitching…');
-    const blob = await stitch(imgs);
-    cleanupLocks(locks);
-    if (dynamicObserver) dynamicObserver.disconnect();
-    killHud(hud);
-
-    // ***********************************************
-    // START: MODIFIED OUTPUT HANDLING FOR VIEWER
-    // ***********************************************
-
-    const name = `${location.hostname}_fullpage_${Date.now()}.jpg`;
-    
-    // 1. Download the full image
-    downloadBlob(blob, name);
-
-    // 2. Convert blob to Data URL for viewer
-    setHud(hud, 'Preparing viewer…');
-    const dataUrl = await new Promise(res => {
-        const reader = new FileReader();
-        reader.onloadend = () => res(reader.result);
-        reader.readAsDataURL(blob);
+      const onKey = e => { if (e.key === 'Escape') { e.preventDefault(); done(null); } };
+      const done = val => {
+        layer.remove();
+        document.removeEventListener('keydown', onKey, true);
+        resolve(val);
+      };
+      document.addEventListener('keydown', onKey, true);
+      document.documentElement.appendChild(layer);
     });
+  }
+
+  function areaOf(el) {
+    const r = el.getBoundingClientRect();
+    return r.width * r.height;
+  }
 
-    // 3. Store the large Data URL in chrome.storage.local
-    const storageKey = 'fpc_latest_img';
-    await chrome.storage.local.set({ [storageKey]: dataUrl });
-    
-    // 4. Open the new viewer page bundled with the extension
-    const viewerUrl = chrome.runtime.getURL('viewer.html');
-    window.open(viewerUrl, '_blank');
+  // ---------- frames ----------
+  // Iframes whose document is taller than their box are grown to the full content height for the
+  // capture, so the frame's content lands in its place in the page. Every frame runs its own copy
+  // of this script (background.js injects with allFrames) and answers over window.postMessage;
+  // nested frames expand their own children first. Frames we could not inject into never answer
+  // and are captured as they are.
+  const FRAME_REPLY_MS = 1500;
+  const FRAME_MAX_PX = 50000;
+  let frameLocks = []; // iframes this document has grown, restored by restoreFrames()
 
-    // ***********************************************
-    // END: MODIFIED OUTPUT HANDLING FOR VIEWER
-    // ***********************************************
+  function visibleFrames() {
+    return Array.from(document.querySelectorAll('iframe')).filter(f =>
+      f.clientWidth >= 50 && f.clientHeight >= 50 && getComputedStyle(f).visibility !== 'hidden');
+  }
+
+  // type: 'measure' | 'expand'; resolves with the frame's { height, width } or null
+  function askFrame(iframe, type, timeoutMs) {
+    return new Promise(resolve => {
+      const win = iframe.contentWindow;
+      if (!win) { resolve(null); return; }
+      const token = Math.random().toString(36).slice(2);
+      const onMessage = e => {
+        if (e.source === win && e.data?.fpcFrame === `${type}-reply` && e.data.token === token) done(e.data);
+      };
+      const done = val => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        resolve(val && Number.isFinite(val.height) ? { height: Math.min(val.height, FRAME_MAX_PX), width: val.width } : null);
+      };
+      const timer = setTimeout(done, timeoutMs, null);
+      window.addEventListener('message', onMessage);
+      win.postMessage({ fpcFrame: type, token }, '*');
+    });
+  }
+
+  async function expandFrames(frames = visibleFrames()) {
+    const sizes = await Promise.all(frames.map(f => askFrame(f, 'expand', FRAME_REPLY_MS)));
+    let grown = 0;
+    frames.forEach((f, i) => {
+      const m = sizes[i];
+      if (!m || m.height <= f.clientHeight + 4) return;
+      const borders = f.getBoundingClientRect().height - f.clientHeight;
+      frameLocks.push(styleLock(f, { height: `${Math.ceil(m.height + borders)}px`, 'max-height': 'none', 'min-height': '0' }));
+      grown++;
+    });
+    if (grown) await delay(CFG.viewportSettleMs);
+    return grown;
+  }
+
+  function restoreFrames() {
+    cleanupLocks(frameLocks);
+    frameLocks = [];
+    for (const f of document.querySelectorAll('iframe')) {
+      try { f.contentWindow?.postMessage({ fpcFrame: 'restore' }, '*'); } catch {}
+    }
+  }
+
+  // Inside a frame: answer the parent document's measure / expand / restore requests
+  window.addEventListener('message', e => {
+    const d = e.data;
+    if (window === window.top || e.source !== window.parent || !d || typeof d.fpcFrame !== 'string') return;
+    const reply = () => {
+      const doc = document.scrollingElement || document.documentElement;
+      window.parent.postMessage({ fpcFrame: `${d.fpcFrame}-reply`, token: d.token, height: doc.scrollHeight, width: doc.scrollWidth }, '*');
+    };
+    if (d.fpcFrame === 'measure') reply();
+    else if (d.fpcFrame === 'expand') expandFrames().then(reply, reply);
+    else if (d.fpcFrame === 'restore') restoreFrames();
+  });
+
+  // ---------- text layer ----------
+  // Text runs (one per line of a text node) collected at every scroll position, so content that is
+  // only rendered while on screen is included too. Positions are CSS px from the top-left corner of
+  // the captured content: origin() is that corner in viewport coordinates, clip() the viewport area
+  // the current tile shows. Redacted text stays out.
+  function wantsText() {
+    return output.format === 'pdf' && output.textLayer;
+  }
+
+  function textCollector(origin, clip) {
+    const runs = [];
+    const seen = new Set();
+    const range = document.createRange();
+
+    function add(text, r, o) {
+      text = text.replace(/\s+/g, ' ').trim();
+      if (!text || r.right - r.left < 1 || r.bottom - r.top < 1) return;
+      const run = { text, x: r.left - o.left, y: r.top - o.top, w: r.right - r.left, h: r.bottom - r.top };
+      const key = `${Math.round(run.x)},${Math.round(run.y)},${text}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      runs.push(run);
+    }
+
+    function collect() {
+      const o = origin(), c = clip();
+      // whole lines only: a line cut by the tile edge is complete in the neighbouring tile
+      const inside = r => r.top >= c.top - 1 && r.bottom <= c.bottom + 1 && r.right > c.left && r.left < c.right;
+      const apart = r => r.bottom < c.top || r.top > c.bottom || r.right < c.left || r.left > c.right;
+      // Subtrees of elements away from the tile are skipped (the walk is per tile and column, on long
+      // pages); not when their content overflows the box, or they have none (display: contents)
+      const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: n => {
+          if (n.nodeType === 1) {
+            if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(n.tagName) || n === activeHud) return NodeFilter.FILTER_REJECT;
+            const r = n.getBoundingClientRect();
+            if ((r.width || r.height) && apart(r) &&
+                n.scrollHeight <= n.clientHeight + 1 && n.scrollWidth <= n.clientWidth + 1) return NodeFilter.FILTER_REJECT;
+            return NodeFilter.FILTER_SKIP;
+          }
+          const p = n.parentElement;
+          if (!p || !n.nodeValue.trim() || redactor?.hides(p)) return NodeFilter.FILTER_REJECT;
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      });
+      for (let t = walker.nextNode(); t; t = walker.nextNode()) {
+        range.selectNodeContents(t);
+        const rects = range.getClientRects();
+        if (!Array.from(rects).some(inside)) continue;
+        if (!t.parentElement.checkVisibility({ opacityProperty: true, visibilityProperty: true })) continue;
+        if (rects.length === 1) { add(t.nodeValue, rects[0], o); continue; }
+        // wrapped over several lines: one run per line
+        let line = null;
+        for (const m of t.nodeValue.matchAll(/\S+/g)) {
+          range.setStart(t, m.index);
+          range.setEnd(t, m.index + m[0].length);
+          const r = range.getBoundingClientRect();
+          if (line && Math.abs(r.top - line.top) < 2) {
+            line.text += ' ' + m[0];
+            line.right = Math.max(line.right, r.right);
+            line.bottom = Math.max(line.bottom, r.bottom);
+            continue;
+          }
+          if (line && inside(line)) add(line.text, line, o);
+          line = { text: m[0], left: r.left, top: r.top, right: r.right, bottom: r.bottom };
+        }
+        if (line && inside(line)) add(line.text, line, o);
+      }
+    }
+
+    return { runs, collect };
+  }
+
+  // ---------- output ----------
+  // Shared by the scroll/stitch loop and the DevTools engine (deliver-capture).
+  // `items` are tiles of the run's pipeline session with their crop (see pipeline.js stitch()); the
+  // contact sheet is composed there from the device captures it kept. The pipeline stitches,
+  // downloads (not in batch runs) and stores the image; the page never holds it.
+  // Resolves with the history id. scroller: the element the capture scrolled (recorded in the metadata)
+  async function deliverOutput(items, hud, kind = 'fullpage', scroller = null) {
+    const createdAt = Date.now();
+    const base = `${location.hostname}_${kind}${device ? `_${device.id}-${device.width}` : ''}_${createdAt}`;
+    const ext = FPCExport.FORMATS[output.format].ext;
+    const dpr = window.devicePixelRatio || 1;
+    // where the screenshot came from (exporter.js embeds it or writes the sidecar)
+    const meta = {
+      url: location.href,
+      title: document.title,
+      createdAt,
+      kind,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      dpr,
+      userAgent: navigator.userAgent,
+      scrollContainer: !scroller || isDocumentScroller(scroller) ? 'document' : selectorFor(scroller),
+      device: device || undefined
+    };
+    const text = pageText && pageText.runs.length
+      ? pageText.runs.map(t => ({ text: t.text, x: t.x * dpr, y: t.y * dpr, w: t.w * dpr, h: t.h * dpr }))
+      : undefined;
+    pageText = null;
+
+    // 1. Stitch, download the full image in the chosen format (numbered parts when split; a PDF
+    //    takes them all) and add it to the IndexedDB history — all in the pipeline
+    const n = items ? items.length : null;
+    progress(hud, 'stitching', 'Stitching and saving…', n, n);
+    const res = await RT.sendMessage({
+      action: 'pipeline-deliver',
+      session,
+      items,
+      contactSheet: kind === 'contact-sheet',
+      output,
+      meta,
+      text,
+      base,
+      download: !batchRun,
+      sheet: keepForSheet ? { session: sheet.session, label: `${device.label} @${device.dpr}x` } : undefined,
+      seamMinScore: CFG.seamMinScore,
+      maxCanvasArea: CFG.maxCanvasArea
+    });
+    if (!res?.success) throw new Error('could not save the capture: ' + (res?.error || 'unknown error'));
+    if (keepForSheet) sheet.shots++;
+    if (res.seams) {
+      const { matched, total, minScore } = res.seams;
+      const line = `Seams: ${matched}/${total} matched, min confidence ${minScore.toFixed(2)}`;
+      if (matched < total) console.warn('[FPC] ' + line);
+      setHud(hud, line);
+    }
+
+    // 2. Next to it: metadata sidecar and page archive
+    if (!batchRun && FPCExport.wantsSidecar(output)) downloadBlob(FPCExport.sidecar(meta), `${base}.json`);
+    if (archive) {
+      const snap = archive;
+      archive = null;
+      progress(hud, 'archiving', 'Saving the page archive…');
+      try {
+        await saveArchive(snap, base, meta);
+      } catch (err) {
+        console.warn('[FPC] page archive failed:', err);
+        toast('The page archive could not be saved: ' + (err?.message || err), 5000);
+      }
+    }
+    if (res.parts > 1 && !batchRun) {
+      toast(`This page (${res.height}px tall) exceeds the browser's canvas limit and was split into ${res.parts} parts` +
+        (output.format === 'pdf' ? ' inside the PDF.' : ` (${base}_partNNof${String(res.parts).padStart(2, '0')}.${ext}). The viewer shows part 1.`));
+    }
+
+    // 3. Open the viewer bundled with the extension on the stored entry
+    //    (device runs open it once, on the contact sheet)
+    if (!batchRun && !device) {
+      const viewerUrl = chrome.runtime.getURL(`viewer.html?id=${res.id}`);
+      window.open(viewerUrl, '_blank');
+    }
+    return res.id;
+  }
+
+  // ---------- page archive ----------
+  // output.archive: 'mhtml' | 'html' | 'both'. Taken while the capture still holds the page: the
+  // bands it hid are left out of the HTML (and stay hidden in the MHTML). MHTML is skipped when
+  // redaction is on: it would carry the masked text, only the HTML can blank it.
+  // The archive stays open in background.js (resources of this page may be fetched, the MHTML is
+  // kept there) until saveArchive() or the end of the run closes it.
+  async function snapshotPage(hud, locks) {
+    progress(hud, 'archiving', 'Recording the page…');
+    const hidden = locks.map(l => l.el).filter(el => {
+      const cs = getComputedStyle(el);
+      return cs.visibility === 'hidden' || cs.display === 'none';
+    });
+    const html = output.archive !== 'mhtml'
+      ? FPCArchive.snapshot({ exclude: hud ? [...hidden, hud] : hidden, masked: el => !!redactor?.hides(el) })
+      : null;
+    let wantMhtml = output.archive !== 'html';
+    if (wantMhtml && redactor) {
+      console.warn('[FPC] MHTML skipped: redaction is on.');
+      wantMhtml = false;
+    }
+    if (wantMhtml && hud) hud.style.visibility = 'hidden';
+    const res = await RT.sendMessage({ action: 'archive-begin', mhtml: wantMhtml }).catch(err => ({ success: false, error: err.message }));
+    if (wantMhtml && hud) hud.style.visibility = '';
+    if (wantMhtml && !res?.mhtml) console.warn('[FPC] MHTML not saved:', res?.error);
+    return { html, mhtml: !!res?.mhtml };
+  }
+
+  async function saveArchive(snap, base, meta) {
+    try {
+      if (snap.mhtml) {
+        const res = await RT.sendMessage({ action: 'save-mhtml', filename: `${base}.mhtml` });
+        if (!res?.success) throw new Error(res?.error || 'MHTML download failed');
+      }
+      if (snap.html) {
+        const fetchResource = async (url) => {
+          const res = await RT.sendMessage({ action: 'fetch-resource', url });
+          if (!res?.success) throw new Error(res?.error || 'fetch failed');
+          return res.dataUrl;
+        };
+        const text = await FPCArchive.serialize(snap.html, fetchResource, meta);
+        downloadBlob(new Blob([text], { type: 'text/html' }), `${base}.html`);
+      }
+    } finally {
+      endArchive();
+    }
+  }
+
+  function endArchive() {
+    RT.sendMessage({ action: 'archive-end' }).catch(() => {});
   }
 
   // ---------- capture / waits ----------
@@ -175,14 +1057,28 @@
     const gap = now - lastCaptureAt;
     if (gap < CFG.minCaptureGapMs) await delay(CFG.minCaptureGapMs - gap);
 
+    // mask sensitive content that scrolled/lazy-loaded into the page since the last tile;
+    // the HUD must not end up in the tile either
+    const masked = redactor ? redactor.scan() : 0;
+    if (activeHud) activeHud.style.visibility = 'hidden';
+    if (masked > 0 || activeHud) await nextFrame();
+    try {
+      return await captureTile();
+    } finally {
+      if (activeHud) activeHud.style.visibility = '';
+    }
+  }
+
+  // Resolves with the pipeline's { index, width, height, hash } of the new tile
+  async function captureTile() {
     let lastErr;
     for (let a = 1; a <= CFG.captureRetries; a++) {
       const res = await new Promise(resolve => {
-        try { RT.sendMessage({ action: 'capture-visible' }, resolve); }
+        try { RT.sendMessage({ action: 'capture-visible', session, format: output.format === 'jpeg' ? 'jpeg' : 'png' }, resolve); }
         catch (e) { resolve({ success: false, error: e?.message }); }
       });
       lastCaptureAt = Date.now();
-      if (res?.success && res.dataUrl) return res.dataUrl;
+      if (res?.success && res.width) return res;
       lastErr = res?.error || 'unknown capture error';
       await delay(CFG.captureRetryBaseMs * Math.pow(2, a - 1));
     }
@@ -221,6 +1117,7 @@
     await delay(400);
     let stable = 0;
     while (stable < CFG.bottomStableChecks) {
+      await checkpoint();
       await delay(CFG.bottomStableIntervalMs);
       const h = scrollEl.scrollHeight;
       if (Math.abs(h - lastH) > 80) {
@@ -235,38 +1132,331 @@
     await delay(250);
   }
 
-  // ---------- detect & suppress UI ----------
+  // At the end of the scroller: true once the content grew (infinite feed), false when it stays put
+  async function waitForGrowth(scrollEl) {
+    const h = scrollEl.scrollHeight;
+    for (let i = 0; i < CFG.bottomStableChecks; i++) {
+      await checkpoint();
+      await delay(CFG.bottomStableIntervalMs);
+      if (scrollEl.scrollHeight - h > 80) return true;
+    }
+    return false;
+  }
+
+  // ---------- expansion ----------
+  // Before the capture: click "load more" controls (up to CFG.loadMoreClicks), open collapsed
+  // <details> and accordions, switch lazy images to eager and wait until they are decoded.
+  // Resolves with a function that closes what was opened again (loaded content stays).
+  const LOAD_MORE = /^(load|show|see|view)\s+(more|all|older)\b|^more\s+(results|items|posts|comments|stories)\b/i;
+  const MAX_ACCORDIONS = 100;
+
+  async function expandContent(hud) {
+    await waitForLoad();
+    const undo = [];
+
+    let clicks = 0;
+    for (let btn; clicks < CFG.loadMoreClicks && (btn = findLoadMore()); clicks++) {
+      await checkpoint();
+      progress(hud, 'expanding', `Loading more content… (${clicks + 1})`);
+      const h = document.documentElement.scrollHeight;
+      btn.click();
+      await delay(CFG.viewportSettleMs);
+      await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
+      if (document.documentElement.scrollHeight === h && findLoadMore() === btn) break; // nothing left to load
+    }
+
+    if (CFG.openDetails) {
+      await checkpoint();
+      progress(hud, 'expanding', 'Opening collapsed sections…');
+      for (const d of document.querySelectorAll('details:not([open])')) {
+        d.open = true;
+        undo.push(() => { d.open = false; });
+      }
+      let opened = 0;
+      for (const el of document.querySelectorAll('[aria-expanded="false"][aria-controls]')) {
+        if (opened >= MAX_ACCORDIONS) break;
+        if (!isAccordionToggle(el)) continue;
+        el.click();
+        opened++;
+        undo.push(() => { if (el.isConnected && el.getAttribute('aria-expanded') === 'true') el.click(); });
+      }
+      if (undo.length) await waitForStableDOM(CFG.domStableTimeoutMs, CFG.domStableWindowMs);
+    }
+
+    if (CFG.eagerImages) {
+      await checkpoint();
+      progress(hud, 'expanding', 'Loading images…');
+      for (const el of document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]')) el.loading = 'eager';
+      const decoded = Array.from(document.images).filter(img => img.currentSrc || img.getAttribute('src')).map(img => img.decode().catch(() => {}));
+      await Promise.race([Promise.all(decoded), delay(CFG.imageDecodeTimeoutMs)]);
+    }
+
+    return () => {
+      for (const fn of undo.reverse()) {
+        try { fn(); } catch {}
+      }
+    };
+  }
+
+  // A visible, enabled "load more" control that stays on the page (no links or form submits
+  // that would navigate away)
+  function findLoadMore() {
+    for (const el of document.querySelectorAll('button, [role="button"], a')) {
+      const text = (el.innerText || el.getAttribute('aria-label') || '').trim();
+      if (!text || text.length > 40 || !LOAD_MORE.test(text)) continue;
+      if (el.disabled || el.getAttribute('aria-disabled') === 'true' || !el.getClientRects().length) continue;
+      if (el.localName === 'a' && !/^(#|javascript:|$)/i.test(el.getAttribute('href') || '')) continue;
+      if (el.localName === 'button' && el.form && el.type === 'submit') continue;
+      return el;
+    }
+    return null;
+  }
+
+  // aria-expanded toggles of page content; menus, tabs, comboboxes and navigation are left alone
+  function isAccordionToggle(el) {
+    if (el.hasAttribute('aria-haspopup') || /^(menuitem|tab|combobox|switch)$/.test(el.getAttribute('role') || '')) return false;
+    if (el.closest('nav, header, [role="menu"], [role="menubar"], [role="navigation"], [role="tablist"]')) return false;
+    return el.getClientRects().length > 0;
+  }
+
+  // Virtualized list libraries and ARIA grids that render fewer rows than they announce
+  const VIRTUAL_MARKERS = '[data-virtuoso-scroller], .ReactVirtualized__Grid, .ReactVirtualized__List, cdk-virtual-scroll-viewport, .vue-recycle-scroller';
+  const VIRTUAL_MIN_ROWS = 5;
+
+  // { detected, disconnect() }: detected up front from known markers inside the scroller, or as soon
+  // as one list there loses several rows that had scrolled out of view (rows recycled). Rows removed
+  // while on screen (carousels, ad slots, re-renders) do not count.
+  function watchVirtualization(scrollEl) {
+    const doc = isDocumentScroller(scrollEl);
+    const root = doc ? document.body : scrollEl;
+    const grids = Array.from(root.querySelectorAll('[aria-rowcount]'));
+    const state = {
+      detected: !!root.querySelector(VIRTUAL_MARKERS) ||
+        grids.some(g => Number(g.getAttribute('aria-rowcount')) > g.querySelectorAll('[role="row"]').length + 1),
+      disconnect: () => { mo.disconnect(); io.disconnect(); }
+    };
+    // rows last seen outside the scroller's viewport while still in the page
+    const gone = new WeakSet();
+    const io = new IntersectionObserver(entries => {
+      for (const e of entries) {
+        if (!e.target.isConnected) continue;
+        if (e.isIntersecting) gone.delete(e.target);
+        else gone.add(e.target);
+      }
+    }, { root: doc ? null : scrollEl });
+    const rowsOf = list => { for (const el of list.children) io.observe(el); };
+    if (!state.detected) {
+      for (const el of root.querySelectorAll('*')) if (el.childElementCount >= VIRTUAL_MIN_ROWS) rowsOf(el);
+    }
+    const removed = new Map(); // list -> rows removed after leaving the viewport
+    const mo = new MutationObserver(records => {
+      if (state.detected) return;
+      for (const r of records) {
+        for (const x of r.addedNodes) if (x.nodeType === 1) io.observe(x);
+        const n = Array.from(r.removedNodes).filter(x => x.nodeType === 1 && gone.has(x)).length;
+        if (!n) continue;
+        const total = (removed.get(r.target) || 0) + n;
+        removed.set(r.target, total);
+        if (total >= VIRTUAL_MIN_ROWS) {
+          state.detected = true;
+          state.disconnect();
+          return;
+        }
+      }
+    });
+    if (!state.detected) mo.observe(root, { childList: true, subtree: true });
+    return state;
+  }
+
+  // ---------- sticky bands ----------
+  // Only fixed/sticky elements are candidates; names (whole id/class tokens) just mark
+  // headers and footers that sit away from the viewport edges.
+  const HEADER_NAMES = /^(header|nav|navbar|topbar|masthead|appbar)$/i;
+  const FOOTER_NAMES = /^(footer|cookie|cookies|consent|gdpr|subscribe|newsletter|chat|banner)$/i;
+
+  function nameTokens(el) {
+    const cls = typeof el.className === 'string' ? el.className : el.getAttribute('class') || '';
+    return `${el.id} ${cls}`.split(/[\s_-]+/).filter(Boolean);
+  }
+  function isPinned(el) {
+    return ['fixed', 'sticky'].includes(getComputedStyle(el).position);
+  }
+
   function detectHeaders() {
     return Array.from(document.querySelectorAll('body *')).filter(el => {
-      const s = getComputedStyle(el);
+      if (!isPinned(el)) return false;
       const r = el.getBoundingClientRect();
-      const nameish = /header|nav|topbar|masthead|site-header|menu/i.test(el.id + ' ' + el.className);
+      const nameish = nameTokens(el).some(t => HEADER_NAMES.test(t));
       const isTop = r.top < 250 && r.bottom > 0;
       if (!isTop && !nameish) return false;
-      if (!['fixed', 'sticky'].includes(s.position) && !nameish) return false;
       return el.offsetHeight >= 28 && el.offsetWidth >= 120;
     });
   }
   function detectFooters() {
     return Array.from(document.querySelectorAll('body *')).filter(el => {
-      const s = getComputedStyle(el);
+      if (!isPinned(el)) return false;
       const r = el.getBoundingClientRect();
-      const nameish = /footer|cookie|subscribe|bottom|chat|banner/i.test(el.id + ' ' + el.className);
+      const nameish = nameTokens(el).some(t => FOOTER_NAMES.test(t));
       const isBottom = r.bottom > window.innerHeight - 250;
       if (!isBottom && !nameish) return false;
-      if (!['fixed', 'sticky'].includes(s.position) && !nameish) return false;
       return el.offsetHeight >= 24 && el.offsetWidth >= 120;
     });
   }
   function detectOverlays() {
     return Array.from(document.querySelectorAll('body *')).filter(el => {
-      const s = getComputedStyle(el);
-      if (!['fixed', 'sticky'].includes(s.position)) return false;
+      if (!isPinned(el)) return false;
       const r = el.getBoundingClientRect();
       // likely modal/tooltip/chat widgets not at very top
       return r.top > window.innerHeight * 0.2 || r.left > window.innerWidth * 0.2;
     });
   }
+
+  // Detected bands plus the elements of the site's 'hide' rules, outermost only
+  // (hiding a container hides what is inside). Use isKept() for the 'keep' rules.
+  function detectBands() {
+    const found = new Set([...detectHeaders(), ...detectFooters(), ...detectOverlays(), ...bandRules.hide.flatMap(queryRule)]);
+    return [...found].filter(el => ![...found].some(o => o !== el && o.contains(el)));
+  }
+  function isKept(el) {
+    return bandRules.keep.some(sel => matchesRule(el, sel));
+  }
+  function queryRule(sel) {
+    try { return Array.from(document.querySelectorAll(sel)); } catch { return []; }
+  }
+  function matchesRule(el, sel) {
+    try { return el.matches(sel); } catch { return false; }
+  }
+
+  // Pre-capture review: every candidate is outlined (red = hide, green = keep) and listed in a
+  // panel; click either to toggle. Resolves with { hide, keep, remember }, or null when cancelled.
+  function reviewBands(candidates) {
+    return new Promise(resolve => {
+      const hide = new Map(candidates.map(el => [el, !isKept(el)]));
+      const font = 'font:12px/1.4 system-ui, -apple-system, Segoe UI, Roboto';
+      const layer = document.createElement('div');
+      layer.style.cssText = 'position:fixed;inset:0;z-index:2147483646;pointer-events:none';
+      const panel = document.createElement('div');
+      panel.style.cssText = `position:fixed;right:12px;bottom:12px;z-index:2147483647;width:340px;max-height:60vh;overflow:auto;background:#1f2937;color:#fff;padding:10px 12px;border-radius:8px;box-shadow:0 4px 16px rgba(0,0,0,.35);${font}`;
+      const intro = document.createElement('div');
+      intro.textContent = `${candidates.length} sticky element${candidates.length === 1 ? '' : 's'} found. Red ones are hidden after the first screen; click to toggle.`;
+      const list = document.createElement('div');
+      list.style.cssText = 'margin:8px 0';
+
+      const rows = candidates.map(el => {
+        const r = el.getBoundingClientRect();
+        const box = document.createElement('div');
+        box.style.cssText = `position:fixed;left:${r.left}px;top:${r.top}px;width:${r.width}px;height:${r.height}px;box-sizing:border-box;pointer-events:auto;cursor:pointer`;
+        const tag = document.createElement('span');
+        tag.style.cssText = `position:absolute;left:0;top:0;padding:1px 6px;color:#fff;white-space:nowrap;${font}`;
+        box.appendChild(tag);
+        const item = document.createElement('label');
+        item.style.cssText = 'display:flex;gap:6px;align-items:baseline;cursor:pointer;padding:2px 0';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        const text = document.createElement('span');
+        text.textContent = `${describeBand(el)} (${Math.round(r.width)}×${Math.round(r.height)})`;
+        item.append(check, text);
+
+        const paint = () => {
+          const h = hide.get(el);
+          const color = h ? '#e53935' : '#2e7d32';
+          box.style.border = `3px solid ${color}`;
+          box.style.background = h ? 'rgba(229,57,53,.15)' : 'transparent';
+          tag.style.background = color;
+          tag.textContent = `${h ? 'Hide' : 'Keep'} · ${describeBand(el)}`;
+          check.checked = h;
+        };
+        const toggle = () => { hide.set(el, !hide.get(el)); paint(); };
+        box.addEventListener('click', e => { e.preventDefault(); e.stopPropagation(); toggle(); });
+        check.addEventListener('change', toggle);
+        // pointing at a row highlights its outline, useful when bands overlap
+        item.addEventListener('mouseenter', () => { box.style.outline = '3px dashed #fff'; });
+        item.addEventListener('mouseleave', () => { box.style.outline = ''; });
+        paint();
+        layer.appendChild(box);
+        return item;
+      });
+      list.append(...rows);
+
+      const remember = document.createElement('label');
+      remember.style.cssText = 'display:flex;gap:6px;align-items:center;margin-bottom:8px';
+      const rememberBox = document.createElement('input');
+      rememberBox.type = 'checkbox';
+      remember.append(rememberBox, `Remember for ${location.hostname}`);
+
+      const actions = document.createElement('div');
+      actions.style.cssText = 'display:flex;gap:6px;justify-content:flex-end';
+      const button = (label, bg) => {
+        const b = document.createElement('button');
+        b.textContent = label;
+        b.style.cssText = `background:${bg};color:#fff;border:none;border-radius:4px;padding:6px 12px;cursor:pointer;${font}`;
+        return b;
+      };
+      const cancelBtn = button('Cancel', '#4b5563');
+      const okBtn = button('Capture', '#0078d4');
+      actions.append(cancelBtn, okBtn);
+      panel.append(intro, list, remember, actions);
+
+      const finish = (result) => {
+        layer.remove();
+        panel.remove();
+        document.removeEventListener('keydown', onKey, true);
+        resolve(result);
+      };
+      const confirm = () => finish({
+        hide: candidates.filter(el => hide.get(el)),
+        keep: candidates.filter(el => !hide.get(el)),
+        remember: rememberBox.checked
+      });
+      const onKey = e => {
+        if (e.key === 'Escape') { e.preventDefault(); finish(null); }
+        if (e.key === 'Enter') { e.preventDefault(); confirm(); }
+      };
+      cancelBtn.addEventListener('click', () => finish(null));
+      okBtn.addEventListener('click', confirm);
+      document.addEventListener('keydown', onKey, true);
+      document.documentElement.append(layer, panel);
+    });
+  }
+
+  function describeBand(el) {
+    const cls = nameTokens(el).filter(t => t !== el.id).slice(0, 2);
+    return el.localName + (el.id ? '#' + el.id : '') + cls.map(c => '.' + c).join('');
+  }
+
+  // Short selector for a band: nearest stable id, else tag + classes without digits (generated
+  // class names change between builds), extended upwards until it matches only this element
+  function selectorFor(el) {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.body && parts.length < 5; node = node.parentElement) {
+      if (node.id && !/\d/.test(node.id)) {
+        parts.unshift('#' + CSS.escape(node.id));
+        if (queryRule(parts.join(' > ')).length === 1) break;
+        continue;
+      }
+      const classes = [...node.classList].filter(c => !/\d/.test(c)).slice(0, 2).map(c => '.' + CSS.escape(c)).join('');
+      parts.unshift(node.localName + classes);
+      if (queryRule(parts.join(' > ')).length === 1) break;
+    }
+    return parts.join(' > ');
+  }
+
+  // Store the review choices as this site's rules; a new choice replaces an opposite older rule
+  async function rememberBands(choice) {
+    const hideSel = choice.hide.map(selectorFor).filter(Boolean);
+    const keepSel = choice.keep.map(selectorFor).filter(Boolean);
+    const rules = {
+      hide: [...bandRules.hide.filter(x => !keepSel.includes(x)), ...hideSel],
+      keep: [...bandRules.keep.filter(x => !hideSel.includes(x)), ...keepSel]
+    };
+    try {
+      await FPCSettings.saveBands(location.hostname, rules);
+      bandRules = { hide: [...new Set(rules.hide)], keep: [...new Set(rules.keep)] };
+    } catch (e) {
+      console.warn('[FPC] could not save sticky-band rules:', e);
+    }
+  }
+
   function measureHeaderBand(els) {
     if (!els?.length) return 0;
     let max = 0;
@@ -276,7 +1466,7 @@
     }
     return Math.min(max, Math.floor(window.innerHeight * 0.6));
   }
-  function hideAndLock(els) {
+  function hideAndLock(els, { keepLayout = false } = {}) {
     const locks = [];
     for (const el of els) {
       try {
@@ -288,7 +1478,8 @@
           opacity: el.style.opacity,
           pointerEvents: el.style.pointerEvents
         };
-        el.style.setProperty('display', 'none', 'important');
+        // keepLayout: leave display alone so sticky/in-flow bars don't reflow the content
+        if (!keepLayout) el.style.setProperty('display', 'none', 'important');
         el.style.setProperty('visibility', 'hidden', 'important');
         el.style.setProperty('opacity', '0', 'important');
         el.style.setProperty('pointer-events', 'none', 'important');
@@ -297,6 +1488,22 @@
     }
     return locks;
   }
+  // Lock record for arbitrary inline styles (set !important), restored by cleanupLocks()
+  function styleLock(el, styles) {
+    const rec = {
+      el,
+      display: el.style.display,
+      visibility: el.style.visibility,
+      opacity: el.style.opacity,
+      pointerEvents: el.style.pointerEvents,
+      styles: {}
+    };
+    for (const [prop, value] of Object.entries(styles)) {
+      rec.styles[prop] = el.style.getPropertyValue(prop);
+      el.style.setProperty(prop, value, 'important');
+    }
+    return rec;
+  }
   function cleanupLocks(locks) {
     for (const r of locks) {
       const el = r.el;
@@ -305,68 +1512,249 @@
       el.style.setProperty('visibility', r.visibility || '');
       el.style.setProperty('opacity', r.opacity || '');
       el.style.setProperty('pointer-events', r.pointerEvents || '');
+      if (r.position !== undefined) el.style.setProperty('position', r.position || '');
+      for (const [prop, value] of Object.entries(r.styles || {})) el.style.setProperty(prop, value || '');
     }
   }
-  function observeAndNukeNewBands() {
+  // Fixed/sticky elements that appear (or become fixed on scroll) during the capture get the same
+  // restorable hiding; their lock records are appended to `locks`. `known`: elements already
+  // hidden or deliberately kept, left alone together with their descendants.
+  function observeAndHideNewBands(locks, known) {
+    const seen = new WeakSet(known);
+    const consider = el => {
+      if (seen.has(el) || !el.isConnected || known.some(k => k.contains(el))) return;
+      if (isKept(el) || !(isPinned(el) || bandRules.hide.some(sel => matchesRule(el, sel)))) return;
+      seen.add(el);
+      locks.push(...hideAndLock([el]));
+    };
     const mo = new MutationObserver(muts => {
       for (const m of muts) {
-        m.addedNodes?.forEach(n => {
-          if (n.nodeType !== 1) return;
-          const el = n;
-          const s  = getComputedStyle(el);
-          const nameish = /header|nav|topbar|masthead|footer|cookie|chat|banner/i.test(el.id + ' ' + el.className);
-          if (nameish || ['fixed','sticky'].includes(s.position)) {
-            try { el.remove(); } catch {}
-          }
-        });
+        if (m.type === 'attributes') consider(m.target);
+        else m.addedNodes?.forEach(n => { if (n.nodeType === 1) consider(n); });
       }
     });
-    mo.observe(document.body || document.documentElement, { childList: true, subtree: true });
+    mo.observe(document.body || document.documentElement, { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style'] });
     return mo;
   }
 
-  // ---------- stitch ----------
-  async function stitch(items) {
-    const width = Math.max(...items.map(t => t.img.width));
-    const height = items.reduce((h, t) => h + (t.img.height - (t.cropTop || 0)), 0);
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+  // ---------- redaction ----------
+  const REDACT_PATTERNS = {
+    emails: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    cards: /\b(?:\d[ -]?){12,18}\d\b/g,
+    phones: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g
+  };
+  const MASK_STYLES = {
+    'background-color': '#000',
+    'background-image': 'none',
+    color: 'transparent',
+    'text-shadow': 'none',
+    filter: 'brightness(0)'
+  };
+
+  // opts: { passwords, emails, cards, phones, selectors: [css...] }; null when nothing is enabled.
+  // Elements get masked in place (lock records, restored by cleanupLocks); text matches are wrapped
+  // in mask spans and the original text node is put back on restore.
+  function createRedactor(opts) {
+    if (!opts) return null;
+    const selectors = (opts.selectors || []).map(x => String(x).trim()).filter(Boolean);
+    const kinds = ['emails', 'cards', 'phones'].filter(k => opts[k]);
+    if (!opts.passwords && !kinds.length && !selectors.length) return null;
 
-    let y = 0;
-    for (const t of items) {
-      const sy = Math.max(0, t.cropTop || 0);
-      const sh = t.img.height - sy;
-      ctx.drawImage(t.img, 0, sy, t.img.width, sh, 0, y, t.img.width, sh);
-      y += sh;
+    const locks = [];
+    const wraps = [];
+    const seen = new WeakSet();
+
+    const valueMatches = (v) => kinds.some(k => findMatches(v, [k]).length);
+
+    // The first scan covers the document; later ones (every tile) only what was added or changed
+    // since, as reported by the observer
+    let mo = null;
+    const pending = [];
+
+    function scan() {
+      if (!mo) {
+        mo = new MutationObserver(records => pending.push(...records));
+        mo.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+        return maskIn(document);
+      }
+      const roots = new Set();
+      for (const r of pending.splice(0).concat(mo.takeRecords())) {
+        if (r.type === 'characterData') {
+          seen.delete(r.target);
+          roots.add(r.target);
+        } else {
+          r.addedNodes.forEach(x => roots.add(x));
+        }
+      }
+      let n = 0;
+      for (const x of roots) {
+        if (!x.isConnected || seen.has(x)) continue;
+        if (x.nodeType === 1) n += maskIn(x);
+        else if (x.nodeType === 3 && kinds.length) n += wrapTextMatches(x);
+      }
+      return n;
     }
-    return await new Promise(res => canvas.toBlob(res, 'image/jpeg', 0.95));
+
+    // root: the document, an element or a text node
+    function maskIn(root) {
+      let n = 0;
+      const all = sel => [...(root.nodeType === 1 && root.matches(sel) ? [root] : []), ...root.querySelectorAll(sel)];
+      const els = [];
+      if (opts.passwords) els.push(...all('input[type="password"]'));
+      for (const sel of selectors) {
+        try { els.push(...all(sel)); }
+        catch { if (root === document) console.warn('[FPC] invalid redaction selector:', sel); }
+      }
+      if (kinds.length) {
+        els.push(...all('input, textarea').filter(el => el.type !== 'password' && valueMatches(el.value || '')));
+      }
+      for (const el of els) {
+        if (seen.has(el)) continue;
+        seen.add(el);
+        locks.push(maskAndLock(el));
+        n++;
+      }
+      if (kinds.length) n += wrapTextMatches(root === document ? document.body || document.documentElement : root);
+      return n;
+    }
+
+    function wrapTextMatches(root) {
+      let n = 0;
+      const accept = (t) => {
+        const p = t.parentElement;
+        if (!p || seen.has(t) || /^(SCRIPT|STYLE|NOSCRIPT|TEXTAREA)$/.test(p.tagName) || p.closest('[data-fpc-redact]')) return NodeFilter.FILTER_REJECT;
+        return t.nodeValue.length > 5 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+      };
+      const texts = [];
+      if (root.nodeType === 3) {
+        if (accept(root) === NodeFilter.FILTER_ACCEPT) texts.push(root);
+      } else {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, { acceptNode: accept });
+        for (let t = walker.nextNode(); t; t = walker.nextNode()) texts.push(t);
+      }
+      const hits = [];
+      for (const t of texts) {
+        seen.add(t);
+        const m = findMatches(t.nodeValue, kinds);
+        if (m.length) hits.push({ node: t, matches: m });
+      }
+      for (const { node, matches } of hits) {
+        const text = node.nodeValue;
+        const nodes = [];
+        let at = 0;
+        for (const [from, to] of matches) {
+          if (from > at) nodes.push(document.createTextNode(text.slice(at, from)));
+          const span = document.createElement('span');
+          span.dataset.fpcRedact = '';
+          span.textContent = text.slice(from, to);
+          for (const [prop, value] of Object.entries(MASK_STYLES)) span.style.setProperty(prop, value, 'important');
+          span.style.setProperty('border-radius', '2px');
+          nodes.push(span);
+          at = to;
+          n++;
+        }
+        if (at < text.length) nodes.push(document.createTextNode(text.slice(at)));
+        nodes.forEach(x => seen.add(x));
+        node.replaceWith(...nodes);
+        wraps.push({ original: node, nodes });
+      }
+      return n;
+    }
+
+    function restore() {
+      mo?.disconnect();
+      mo = null;
+      pending.length = 0;
+      cleanupLocks(locks);
+      for (const w of wraps.reverse()) {
+        const first = w.nodes[0];
+        if (!first?.parentNode) continue;
+        first.parentNode.insertBefore(w.original, first);
+        w.nodes.forEach(x => x.remove());
+      }
+      locks.length = 0;
+      wraps.length = 0;
+    }
+
+    // true for content this redactor masks (kept out of the PDF text layer)
+    function hides(el) {
+      return !!el.closest('[data-fpc-redact]') || locks.some(l => l.el.contains(el));
+    }
+
+    return { scan, restore, hides, get count() { return locks.length + wraps.length; } };
+  }
+
+  // [[from, to], ...] non-overlapping match ranges of the enabled kinds, in order
+  function findMatches(text, kinds) {
+    const ranges = [];
+    for (const k of kinds) {
+      const re = REDACT_PATTERNS[k];
+      re.lastIndex = 0;
+      for (let m = re.exec(text); m; m = re.exec(text)) {
+        const digits = m[0].replace(/\D/g, '');
+        if (k === 'cards' && !luhn(digits)) continue;
+        if (k === 'phones' && (digits.length < 9 || digits.length > 15)) continue;
+        ranges.push([m.index, m.index + m[0].length]);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const r of ranges) {
+      const last = out[out.length - 1];
+      if (last && r[0] < last[1]) last[1] = Math.max(last[1], r[1]);
+      else out.push([...r]);
+    }
+    return out;
+  }
+
+  function luhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = +digits[digits.length - 1 - i];
+      if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  function maskAndLock(el) {
+    return styleLock(el, MASK_STYLES);
   }
 
   // ---------- helpers ----------
   function findScrollable() {
-    // prefer the element with biggest scroll span
+    // prefer the element with biggest vertical scroll span; horizontal span only decides
+    // when nothing scrolls vertically (wide-but-short dashboards)
     const cands = [document.scrollingElement || document.documentElement, document.body, ...document.querySelectorAll('body *')];
-    let best = cands[0], span = 0;
+    let best = cands[0], span = 0, bestX = null, spanX = 0;
     for (const el of cands) {
       try {
         const s = (el.scrollHeight || 0) - (el.clientHeight || 0);
         if (s > span && (el.clientHeight || 0) > 0) { best = el; span = s; }
+        const sx = (el.scrollWidth || 0) - (el.clientWidth || 0);
+        if (sx > spanX && (el.clientWidth || 0) > 0) { bestX = el; spanX = sx; }
       } catch {}
     }
+    if (!span && bestX) best = bestX;
     return best || (document.scrollingElement || document.documentElement);
   }
 
   function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+  // a hidden page (watch window behind others) gets no animation frames; a short timer stands in
+  function nextFrame() {
+    if (document.hidden) return delay(50);
+    return new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+  }
 
-  function loadImage(url) {
-    return new Promise((resolve, reject) => {
-      const i = new Image();
-      i.onload = () => resolve(i);
-      i.onerror = () => reject(new Error('image load failed'));
-      i.src = url;
-    });
+  // Pipeline sessions are named by the page; randomUUID() is missing on insecure (http:) pages
+  function newSessionId() {
+    return crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  // Frees the session's tiles in the pipeline (already gone after a delivered capture)
+  function dropSession(id) {
+    if (id) RT.sendMessage({ action: 'pipeline-close', session: id }).catch(() => {});
   }
 
   function downloadBlob(blob, name) {
@@ -376,54 +1764,41 @@
     setTimeout(() => URL.revokeObjectURL(u), 2000);
   }
 
-  // pHash (32×32 grayscale + DCT, take 8×8 top-left excluding DC)
-  async function computePHash(img) {
-    const N = 32;
-    const c = document.createElement('canvas');
-    const ctx = c.getContext('2d');
-    c.width = N; c.height = N;
-    ctx.drawImage(img, 0, 0, N, N);
-    const data = ctx.getImageData(0, 0, N, N).data;
-    const g = new Float64Array(N*N);
-    for (let i=0, j=0; i<data.length; i+=4, j++) {
-      g[j] = 0.299*data[i] + 0.587*data[i+1] + 0.114*data[i+2];
-    }
-    const d = dct2(g, N);
-    const vals = [];
-    for (let y=0; y<8; y++) for (let x=0; x<8; x++) vals.push(d[y*N + x]);
-    const median = vals.slice(1).sort((a,b)=>a-b)[32];
-    let h = 0n;
-    for (let i=0; i<64; i++) if (vals[i] > median) h |= (1n << BigInt(i));
-    return h;
-  }
-  function hamming(a, b) {
-    let x = (a ^ b), c = 0;
-    while (x) { c += Number(x & 1n); x >>= 1n; }
-    return c;
-  }
-  function dct2(src, N) {
-    const dst = new Float64Array(N*N);
-    const c = (v) => (v === 0 ? Math.SQRT1_2 : 1);
-    for (let u=0; u<N; u++) for (let v=0; v<N; v++) {
-      let sum = 0;
-      for (let y=0; y<N; y++) for (let x=0; x<N; x++) {
-        sum += src[y*N + x] *
-               Math.cos(((2*x+1)*u*Math.PI)/(2*N)) *
-               Math.cos(((2*y+1)*v*Math.PI)/(2*N));
-      }
-      dst[v*N + u] = 0.25 * c(u) * c(v) * sum;
-    }
-    return dst;
-  }
-
   // HUD
+  // Status line plus Pause / Cancel (hidden while tiles are taken, see safeCapture)
   function makeHud() {
     const el = document.createElement('div');
-    el.style.cssText = 'position:fixed;top:12px;right:12px;z-index:2147483647;background:rgba(0,0,0,.75);color:#fff;padding:8px 10px;border-radius:8px;font:12px/1.4 system-ui, -apple-system, Segoe UI, Roboto;pointer-events:none';
-    el.textContent = '…';
+    el.style.cssText = 'position:fixed;top:12px;right:12px;z-index:2147483647;display:flex;gap:8px;align-items:center;background:rgba(0,0,0,.75);color:#fff;padding:8px 10px;border-radius:8px;font:12px/1.4 system-ui, -apple-system, Segoe UI, Roboto';
+    const text = document.createElement('span');
+    text.dataset.role = 'text';
+    text.textContent = '…';
+    const button = (role, label, onClick) => {
+      const b = document.createElement('button');
+      b.dataset.role = role;
+      b.textContent = label;
+      b.style.cssText = 'background:#374151;color:#fff;border:none;border-radius:4px;padding:2px 8px;cursor:pointer;font:inherit';
+      b.addEventListener('click', onClick);
+      return b;
+    };
+    el.append(text, button('pause', 'Pause', () => setPaused(!control.paused)), button('cancel', 'Cancel', cancelRun));
     document.documentElement.appendChild(el);
+    activeHud = el;
     return el;
   }
-  function setHud(el, t){ if(el) el.textContent = t; }
-  function killHud(el){ if(el) el.remove(); }
+  function setHud(el, t){ if(el) el.querySelector('[data-role="text"]').textContent = t; }
+
+  // User-facing notice (shown even with debugHud off), dismissed on click or after a while
+  function toast(t, ms = 9000) {
+    const el = document.createElement('div');
+    el.style.cssText = 'position:fixed;bottom:16px;left:50%;transform:translateX(-50%);z-index:2147483647;max-width:560px;background:#1f2937;color:#fff;padding:10px 14px;border-radius:8px;box-shadow:0 4px 16px rgba(0,0,0,.35);font:13px/1.4 system-ui, -apple-system, Segoe UI, Roboto;cursor:pointer';
+    el.textContent = t;
+    el.addEventListener('click', () => el.remove());
+    document.documentElement.appendChild(el);
+    setTimeout(() => el.remove(), ms);
+  }
+  function killHud(el){
+    if (!el) return;
+    el.remove();
+    if (activeHud === el) activeHud = null;
+  }
 })();
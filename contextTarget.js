@@ -0,0 +1,11 @@
+// contextTarget.js — static content script: remember the node under the last right-click so
+// "Capture this element" (context menu) can capture it. contentScript.js reads it later from
+// the same isolated world.
+(() => {
+  if (self.__FPC_CONTEXT_TRACKED__) return;
+  self.__FPC_CONTEXT_TRACKED__ = true;
+
+  document.addEventListener('contextmenu', (e) => {
+    self.__FPC_CONTEXT_TARGET__ = e.target instanceof Element ? e.target : e.target?.parentElement || null;
+  }, true);
+})();
@@ -0,0 +1,420 @@
+// exporter.js — output encoders shared by contentScript.js, the viewer and the tile pipeline (pipeline.js)
+// - PNG / WebP / JPEG via canvas.toBlob (OffscreenCanvas.convertToBlob)
+// - Multi-page PDF (A4/Letter, margins) with page breaks nudged into blank rows
+// - No dependencies: the PDF is written by hand, pages are Flate-compressed RGB (lossless)
+// - Capture metadata (source URL, title, time, viewport, ...): PNG text chunks, JPEG EXIF + XMP,
+//   PDF document info, or a JSON sidecar; PDFs can carry an invisible, searchable text layer
+
+(() => {
+  if (self.FPCExport) return;
+
+  const FORMATS = {
+    jpeg: { mime: 'image/jpeg', ext: 'jpg', lossy: true },
+    png:  { mime: 'image/png',  ext: 'png', lossy: false },
+    webp: { mime: 'image/webp', ext: 'webp', lossy: true },
+    pdf:  { mime: 'application/pdf', ext: 'pdf', lossy: false }
+  };
+
+  // PDF points (1/72 in)
+  const PAPER = {
+    a4:     { w: 595.28, h: 841.89 },
+    letter: { w: 612,    h: 792 }
+  };
+  const PT_PER_MM = 72 / 25.4;
+
+  // metadata: where the capture metadata goes ('embed' falls back to the sidecar for WebP)
+  const METADATA = ['embed', 'sidecar', 'both', 'off'];
+  // archive: the page itself saved next to a full-page capture (contentScript.js, archive.js)
+  const ARCHIVES = ['none', 'mhtml', 'html', 'both'];
+
+  const DEFAULTS = { format: 'jpeg', quality: 0.95, paper: 'a4', marginMm: 10, smartBreaks: true, metadata: 'embed', textLayer: true, archive: 'none' };
+
+  function normalize(output) {
+    const o = { ...DEFAULTS, ...(output || {}) };
+    if (!FORMATS[o.format]) o.format = DEFAULTS.format;
+    if (!METADATA.includes(o.metadata)) o.metadata = DEFAULTS.metadata;
+    if (!ARCHIVES.includes(o.archive)) o.archive = DEFAULTS.archive;
+    o.textLayer = o.textLayer !== false;
+    o.quality = Math.min(1, Math.max(0.1, Number(o.quality) || DEFAULTS.quality));
+    if (!PAPER[o.paper]) o.paper = DEFAULTS.paper;
+    o.marginMm = Math.max(0, Number(o.marginMm) || 0);
+    return o;
+  }
+
+  // ---------- images ----------
+  function canvasToBlob(canvas, mime, quality) {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: mime, quality });
+    return new Promise((res, rej) => canvas.toBlob(b => (b ? res(b) : rej(new Error('canvas.toBlob returned null'))), mime, quality));
+  }
+
+  // Encode a canvas to the chosen output; resolves with a Blob.
+  // meta (optional, see metadataRecord) is embedded when the output asks for it.
+  async function encode(canvas, output, meta = null) {
+    const o = normalize(output);
+    if (o.format === 'pdf') return canvasToPdf(canvas, o, meta);
+    const f = FORMATS[o.format];
+    const blob = await canvasToBlob(canvas, f.mime, f.lossy ? o.quality : undefined);
+    if (!meta || !embeds(o)) return blob;
+    if (o.format === 'png') return embedPng(blob, metadataRecord(meta));
+    if (o.format === 'jpeg') return embedJpeg(blob, metadataRecord(meta));
+    return blob;
+  }
+
+  // ---------- metadata ----------
+  // meta: { url, title, createdAt, viewport: { width, height }, dpr, userAgent, scrollContainer,
+  //         kind, device?, text? } — text is only used for the PDF text layer
+  const SOFTWARE = 'Full Page Capture';
+  const XMP_NS = 'urn:full-page-capture:meta:1.0#';
+  const MAX_FIELD = 4000; // keeps the JPEG segments far below their 64 KB limit
+
+  function metadataRecord(meta) {
+    const clip = (v) => String(v ?? '').slice(0, MAX_FIELD);
+    return {
+      url: clip(meta.url),
+      title: clip(meta.title),
+      capturedAt: new Date(meta.createdAt || Date.now()).toISOString(),
+      viewport: meta.viewport ? `${meta.viewport.width}x${meta.viewport.height}` : '',
+      devicePixelRatio: meta.dpr || 1,
+      userAgent: clip(meta.userAgent),
+      scrollContainer: clip(meta.scrollContainer),
+      kind: meta.kind || '',
+      ...(meta.device ? { device: `${meta.device.label} ${meta.device.width}x${meta.device.height}@${meta.device.dpr}x` } : {})
+    };
+  }
+
+  function embeds(o) {
+    return (o.metadata === 'embed' || o.metadata === 'both') && o.format !== 'webp';
+  }
+  // true when the metadata goes into a .json file next to the download
+  function wantsSidecar(output) {
+    const o = normalize(output);
+    return o.metadata === 'sidecar' || o.metadata === 'both' || (o.metadata === 'embed' && !embeds(o));
+  }
+  function sidecar(meta) {
+    return new Blob([JSON.stringify(metadataRecord(meta), null, 2) + '\n'], { type: 'application/json' });
+  }
+
+  const utf8 = (s) => new TextEncoder().encode(s);
+  const latin1 = (s) => Uint8Array.from(s, (ch) => ch.charCodeAt(0));
+  const ascii = (s) => latin1(s.replace(/[^\x20-\x7e]/g, '?') + '\0');
+  function concat(arrays) {
+    const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+    let at = 0;
+    for (const a of arrays) { out.set(a, at); at += a.length; }
+    return out;
+  }
+
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // PNG: text chunks right after IHDR — tEXt when the value is Latin-1, UTF-8 iTXt otherwise.
+  // Standard keywords for the basics, the whole record as JSON in Comment.
+  async function embedPng(blob, r) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const at = 8 + 12 + new DataView(bytes.buffer).getUint32(8); // signature + IHDR
+    const chunks = [
+      textChunk('Title', r.title),
+      textChunk('Source', r.url),
+      textChunk('Creation Time', r.capturedAt),
+      textChunk('Software', SOFTWARE),
+      textChunk('Comment', JSON.stringify(r))
+    ];
+    return new Blob([bytes.subarray(0, at), ...chunks, bytes.subarray(at)], { type: blob.type });
+  }
+
+  function textChunk(keyword, text) {
+    if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(text)) return pngChunk('tEXt', latin1(`${keyword}\0${text}`));
+    // keyword, NUL, uncompressed (flag + method), empty language tag and translated keyword
+    return pngChunk('iTXt', concat([latin1(`${keyword}\0\0\0\0\0`), utf8(text)]));
+  }
+
+  function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(latin1(type), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+  }
+
+  // JPEG: an EXIF segment (IFD0 ASCII tags, so the basics show up in any image viewer) and an
+  // XMP segment with every field, inserted after SOI and the JFIF header
+  async function embedJpeg(blob, r) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let at = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+    return new Blob([bytes.subarray(0, at), exifSegment(r), xmpSegment(r), bytes.subarray(at)], { type: blob.type });
+  }
+
+  function jpegSegment(marker, payload) {
+    const out = new Uint8Array(4 + payload.length);
+    out[0] = 0xff; out[1] = marker;
+    out[2] = (payload.length + 2) >> 8; out[3] = (payload.length + 2) & 0xff;
+    out.set(payload, 4);
+    return out;
+  }
+
+  function exifSegment(r) {
+    const d = new Date(r.capturedAt);
+    const pad = (n) => String(n).padStart(2, '0');
+    const dateTime = `${d.getFullYear()}:${pad(d.getMonth() + 1)}:${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+    // DocumentName, ImageDescription, Software, DateTime (type 2 = ASCII, ascending tag order)
+    const entries = [[0x010d, r.title], [0x010e, r.url], [0x0131, SOFTWARE], [0x0132, dateTime]].map(([tag, v]) => [tag, ascii(v)]);
+    let dataAt = 8 + 2 + entries.length * 12 + 4;
+    const size = entries.reduce((n, [, b]) => n + (b.length > 4 ? b.length + (b.length & 1) : 0), dataAt);
+    const tiff = new Uint8Array(size);
+    const view = new DataView(tiff.buffer);
+    tiff.set([0x49, 0x49, 42, 0, 8, 0, 0, 0]); // little endian, IFD0 at 8
+    view.setUint16(8, entries.length, true);
+    entries.forEach(([tag, b], i) => {
+      const p = 10 + i * 12;
+      view.setUint16(p, tag, true);
+      view.setUint16(p + 2, 2, true);
+      view.setUint32(p + 4, b.length, true);
+      if (b.length <= 4) {
+        tiff.set(b, p + 8);
+      } else {
+        view.setUint32(p + 8, dataAt, true);
+        tiff.set(b, dataAt);
+        dataAt += b.length + (b.length & 1);
+      }
+    });
+    return jpegSegment(0xe1, concat([latin1('Exif\0\0'), tiff]));
+  }
+
+  function xmpSegment(r) {
+    const esc = (v) => String(v).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+    const fields = ['viewport', 'devicePixelRatio', 'userAgent', 'scrollContainer', 'kind', 'device']
+      .filter((k) => r[k] !== undefined && r[k] !== '')
+      .map((k) => `<fpc:${k}>${esc(r[k])}</fpc:${k}>`).join('');
+    const xmp = '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:fpc="${XMP_NS}">` +
+      `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${esc(r.title)}</rdf:li></rdf:Alt></dc:title>` +
+      `<dc:source>${esc(r.url)}</dc:source><xmp:CreateDate>${r.capturedAt}</xmp:CreateDate>` +
+      `<xmp:CreatorTool>${SOFTWARE}</xmp:CreatorTool>${fields}` +
+      '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="r"?>';
+    return jpegSegment(0xe1, concat([latin1('http://ns.adobe.com/xap/1.0/\0'), utf8(xmp)]));
+  }
+
+  // ---------- pdf ----------
+  // Split the canvas into page slices; each break is moved up to the most uniform row
+  // in the lower part of the page so text lines are not cut in half.
+  function pageSlices(canvas, pageH, smartBreaks) {
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const slices = [];
+    let y = 0;
+    while (y < canvas.height) {
+      let end = Math.min(canvas.height, y + pageH);
+      if (smartBreaks && end < canvas.height) end = quietRow(ctx, canvas.width, y + Math.floor(pageH * 0.8), end);
+      slices.push({ y, h: end - y });
+      y = end;
+    }
+    return slices;
+  }
+
+  // Row in [from, to) with the lowest luminance variance, preferring the lowest such row
+  function quietRow(ctx, width, from, to) {
+    const step = Math.max(1, Math.floor(width / 256));
+    const data = ctx.getImageData(0, from, width, to - from).data;
+    let best = to, bestVar = Infinity;
+    for (let r = to - from - 1; r >= 0; r--) {
+      let sum = 0, sq = 0, n = 0;
+      for (let x = 0; x < width; x += step) {
+        const i = (r * width + x) * 4;
+        const v = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        sum += v; sq += v * v; n++;
+      }
+      const variance = sq / n - (sum / n) ** 2;
+      if (variance < bestVar - 0.5) { bestVar = variance; best = from + r + 1; }
+      if (variance < 0.5) break; // a blank row: good enough, take the lowest one
+    }
+    return best;
+  }
+
+  async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function rgbRows(ctx, width, y, h) {
+    const rgba = ctx.getImageData(0, y, width, h).data;
+    const rgb = new Uint8Array(width * h * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+      rgb[j] = rgba[i]; rgb[j + 1] = rgba[i + 1]; rgb[j + 2] = rgba[i + 2];
+    }
+    return rgb;
+  }
+
+  // Resolves with a PDF Blob: one image per page, scaled to the printable width.
+  // Accepts a canvas or the list of parts a split capture produced (pages never span two parts).
+  // meta (optional): document info, and meta.text — [{ x, y, w, h, text }] in pixels of the parts
+  // stacked top to bottom — becomes an invisible text layer when output.textLayer is on.
+  async function canvasToPdf(canvases, output, meta = null) {
+    const o = normalize(output);
+    const paper = PAPER[o.paper];
+    const margin = o.marginMm * PT_PER_MM;
+    const contentW = paper.w - 2 * margin, contentH = paper.h - 2 * margin;
+    const slices = [];
+    let partTop = 0;
+    for (const canvas of [].concat(canvases)) {
+      const ptPerPx = contentW / canvas.width;
+      const pageHpx = Math.max(1, Math.floor(contentH / ptPerPx));
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      for (const s of pageSlices(canvas, pageHpx, o.smartBreaks)) slices.push({ ...s, top: partTop + s.y, canvas, ctx, ptPerPx });
+      partTop += canvas.height;
+    }
+    const text = o.textLayer && meta && meta.text && meta.text.length ? meta.text : null;
+
+    const w = new PdfWriter();
+    const pagesId = 2;
+    const kids = [];
+    w.object(1, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    let id = 3;
+    const fontId = text ? writeTextFont(w, id) : 0;
+    if (text) id += 4;
+    for (const s of slices) {
+      const imgId = id++, contentId = id++, pageId = id++;
+      const data = await deflate(rgbRows(s.ctx, s.canvas.width, s.y, s.h));
+      w.stream(imgId, `/Type /XObject /Subtype /Image /Width ${s.canvas.width} /Height ${s.h} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode`, data);
+
+      const dw = s.canvas.width * s.ptPerPx, dh = s.h * s.ptPerPx;
+      let ops = `q ${num(dw)} 0 0 ${num(dh)} ${num(margin)} ${num(paper.h - margin - dh)} cm /Im0 Do Q`;
+      if (text) ops += textOps(text.filter((t) => t.y >= s.top && t.y < s.top + s.h), s, margin, paper.h - margin);
+      w.stream(contentId, '', new TextEncoder().encode(ops));
+      w.object(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(paper.w)} ${num(paper.h)}] ` +
+        `/Resources << /XObject << /Im0 ${imgId} 0 R >>${text ? ` /Font << /F0 ${fontId} 0 R >>` : ''} >> /Contents ${contentId} 0 R >>`);
+      kids.push(`${pageId} 0 R`);
+    }
+    w.object(pagesId, `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`);
+    let infoId = 0;
+    if (meta && embeds(o)) {
+      const r = metadataRecord(meta);
+      infoId = id++;
+      w.object(infoId, `<< /Title ${pdfString(r.title)} /Subject ${pdfString(r.url)} /Creator ${pdfString(SOFTWARE)} ` +
+        `/Producer ${pdfString(SOFTWARE)} /CreationDate ${pdfString(pdfDate(new Date(r.capturedAt)))} ` +
+        `/Keywords ${pdfString(JSON.stringify(r))} >>`);
+    }
+    return w.finish(1, infoId);
+  }
+
+  function num(v) { return Number(v.toFixed(2)).toString(); }
+
+  // UTF-16BE hex string with BOM: any Unicode text in the document info
+  function pdfString(s) {
+    let hex = '<FEFF';
+    for (let i = 0; i < s.length; i++) hex += s.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    return hex + '>';
+  }
+
+  function pdfDate(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `D:${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+  }
+
+  // ---------- pdf text layer ----------
+  // Invisible text (render mode 3) over the page image, so the PDF is searchable and selectable.
+  // The font is never drawn, so none is embedded: CIDs are the UTF-16 code units (Identity-H),
+  // a ToUnicode CMap maps them back, and every glyph is 500/1000 em wide so Tz can stretch each
+  // run to the width it had on the page.
+  const GLYPH_EM = 0.5;
+
+  // Writes the font objects at ids first..first+3; returns the Type0 font id
+  function writeTextFont(w, first) {
+    const fontId = first, cidId = first + 1, descId = first + 2, cmapId = first + 3;
+    w.object(fontId, `<< /Type /Font /Subtype /Type0 /BaseFont /FPCTextLayer /Encoding /Identity-H /DescendantFonts [${cidId} 0 R] /ToUnicode ${cmapId} 0 R >>`);
+    w.object(cidId, `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /FPCTextLayer /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+      `/FontDescriptor ${descId} 0 R /DW ${GLYPH_EM * 1000} /CIDToGIDMap /Identity >>`);
+    w.object(descId, '<< /Type /FontDescriptor /FontName /FPCTextLayer /Flags 4 /FontBBox [0 -200 1000 800] /ItalicAngle 0 /Ascent 800 /Descent -200 /CapHeight 700 /StemV 80 >>');
+
+    // bfrange entries may only vary in the last byte: one range per high byte, 100 per block
+    const ranges = [];
+    for (let hi = 0; hi < 256; hi++) {
+      const h = hi.toString(16).padStart(2, '0').toUpperCase();
+      ranges.push(`<${h}00> <${h}FF> <${h}00>`);
+    }
+    let blocks = '';
+    for (let i = 0; i < ranges.length; i += 100) {
+      const chunk = ranges.slice(i, i + 100);
+      blocks += `${chunk.length} beginbfrange\n${chunk.join('\n')}\nendbfrange\n`;
+    }
+    const cmap = '/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n' +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n' +
+      '/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n' +
+      '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n' + blocks +
+      'endcmap\nCMapName currentdict /CMap defineresource pop\nend\nend\n';
+    w.stream(cmapId, '', new TextEncoder().encode(cmap));
+    return fontId;
+  }
+
+  // Content stream operators for the runs on one page slice (run y is in stacked-part pixels)
+  function textOps(runs, s, left, pageTop) {
+    if (!runs.length) return '';
+    let ops = ' BT 3 Tr';
+    for (const t of runs) {
+      const codes = [];
+      for (let i = 0; i < t.text.length; i++) {
+        const c = t.text.charCodeAt(i);
+        codes.push(c >= 0xd800 && c <= 0xdfff ? 0xfffd : c); // astral characters: replacement char
+      }
+      if (!codes.length) continue;
+      const size = Math.max(1, (t.h * s.ptPerPx) / 1.15);
+      const width = t.w * s.ptPerPx;
+      const scale = Math.max(1, Math.min(1000, (100 * width) / (codes.length * GLYPH_EM * size)));
+      const x = left + t.x * s.ptPerPx;
+      const y = pageTop - (t.y - s.top + t.h * 0.8) * s.ptPerPx; // baseline at ~80% of the line box
+      ops += ` /F0 ${num(size)} Tf ${num(scale)} Tz 1 0 0 1 ${num(x)} ${num(y)} Tm <${codes.map((c) => c.toString(16).padStart(4, '0')).join('')}> Tj`;
+    }
+    return ops + ' ET';
+  }
+
+  // Minimal PDF serializer: objects are written in call order, xref built from byte offsets
+  class PdfWriter {
+    constructor() {
+      this.parts = [];
+      this.length = 0;
+      this.offsets = [];
+      this.push(new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x34, 0x0a, 0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // %PDF-1.4 + binary marker
+    }
+    push(part) {
+      const bytes = typeof part === 'string' ? new TextEncoder().encode(part) : part;
+      this.parts.push(bytes);
+      this.length += bytes.length;
+    }
+    object(id, body) {
+      this.offsets[id] = this.length;
+      this.push(`${id} 0 obj\n${body}\nendobj\n`);
+    }
+    stream(id, dict, bytes) {
+      this.offsets[id] = this.length;
+      this.push(`${id} 0 obj\n<< ${dict} /Length ${bytes.length} >>\nstream\n`);
+      this.push(bytes);
+      this.push('\nendstream\nendobj\n');
+    }
+    finish(rootId, infoId = 0) {
+      const xrefAt = this.length;
+      const size = this.offsets.length;
+      let xref = `xref\n0 ${size}\n0000000000 65535 f \n`;
+      for (let i = 1; i < size; i++) xref += `${String(this.offsets[i] || 0).padStart(10, '0')} 00000 n \n`;
+      const info = infoId ? ` /Info ${infoId} 0 R` : '';
+      this.push(xref + `trailer\n<< /Size ${size} /Root ${rootId} 0 R${info} >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+      return new Blob(this.parts, { type: FORMATS.pdf.mime });
+    }
+  }
+
+  self.FPCExport = { FORMATS, PAPER, METADATA, ARCHIVES, DEFAULTS, normalize, encode, canvasToPdf, wantsSidecar, sidecar, crc32 };
+})();
@@ -0,0 +1,94 @@
+// history.js — capture library in IndexedDB (extension origin)
+// - 'captures': metadata + small thumbnail, cheap to list
+// - 'images':   the image Blob(s) of each capture (several when the page was split), same id
+// Loaded by background.js (module import), viewer.html, library.html and offscreen.html.
+
+(() => {
+  if (self.FPCHistory) return;
+
+  const DB_NAME = 'fpc';
+  const DB_VERSION = 1;
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('captures')) {
+          const store = db.createObjectStore('captures', { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+          store.createIndex('url', 'url');
+        }
+        if (!db.objectStoreNames.contains('images')) db.createObjectStore('images');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+    });
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // meta: { url, title, createdAt, width, height, dpr, format, kind, thumb? }; resolves with the new id
+  async function add(meta, blobs) {
+    const db = await open();
+    const tx = db.transaction(['captures', 'images'], 'readwrite');
+    const record = { ...meta, createdAt: meta.createdAt || Date.now(), parts: blobs.length, bytes: blobs.reduce((n, b) => n + b.size, 0) };
+    const id = await request(tx.objectStore('captures').add(record));
+    tx.objectStore('images').put(blobs, id);
+    await done(tx);
+    return id;
+  }
+
+  async function get(id) {
+    const db = await open();
+    return request(db.transaction('captures').objectStore('captures').get(id));
+  }
+
+  async function getImages(id) {
+    const db = await open();
+    return request(db.transaction('images').objectStore('images').get(id));
+  }
+
+  // Newest first; `query` matches title, URL and hostname (case-insensitive)
+  async function list({ query = '' } = {}) {
+    const db = await open();
+    const all = await request(db.transaction('captures').objectStore('captures').index('createdAt').getAll());
+    const q = query.trim().toLowerCase();
+    return all.reverse().filter(r => !q || `${r.title || ''} ${r.url || ''}`.toLowerCase().includes(q));
+  }
+
+  async function update(id, patch) {
+    const db = await open();
+    const tx = db.transaction('captures', 'readwrite');
+    const store = tx.objectStore('captures');
+    const rec = await request(store.get(id));
+    if (rec) store.put({ ...rec, ...patch, id });
+    await done(tx);
+  }
+
+  async function remove(id) {
+    const db = await open();
+    const tx = db.transaction(['captures', 'images'], 'readwrite');
+    tx.objectStore('captures').delete(id);
+    tx.objectStore('images').delete(id);
+    await done(tx);
+  }
+
+  self.FPCHistory = { open, add, get, getImages, list, update, remove };
+})();
@@ -0,0 +1,160 @@
+// imagediff.js — image comparison shared by contentScript.js and the viewer
+// - pHash (32×32 grayscale + separable DCT, 64-bit) and hamming distance: fuzzy "same picture?" check
+// - Pixel diff of two captures: diff image, changed-pixel ratio, changed regions (boxes)
+// Loaded by the content script (injected by background.js), viewer.html and offscreen.html.
+
+(() => {
+  if (self.FPCDiff) return;
+
+  // ---------- pHash ----------
+  // 32×32 grayscale + DCT, take 8×8 top-left excluding DC.
+  // img: anything drawImage() takes (image, canvas, ImageBitmap); works without a document.
+  async function computePHash(img) {
+    const N = 32;
+    const c = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(N, N) : document.createElement('canvas');
+    c.width = N; c.height = N;
+    const ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, N, N);
+    const data = ctx.getImageData(0, 0, N, N).data;
+    const g = new Float64Array(N*N);
+    for (let i=0, j=0; i<data.length; i+=4, j++) {
+      g[j] = 0.299*data[i] + 0.587*data[i+1] + 0.114*data[i+2];
+    }
+    const d = dct2(g, N);
+    const vals = [];
+    for (let y=0; y<8; y++) for (let x=0; x<8; x++) vals.push(d[y*N + x]);
+    const median = vals.slice(1).sort((a,b)=>a-b)[32];
+    let h = 0n;
+    for (let i=0; i<64; i++) if (vals[i] > median) h |= (1n << BigInt(i));
+    return h;
+  }
+  function hamming(a, b) {
+    let x = (a ^ b), c = 0;
+    while (x) { c += Number(x & 1n); x >>= 1n; }
+    return c;
+  }
+
+  // Separable 2D DCT-II: 1D transform of every row, then of every column (O(N³) instead of O(N⁴)),
+  // with the cosine table computed once per size
+  const cosTables = new Map();
+  function cosTable(N) {
+    if (!cosTables.has(N)) {
+      const t = new Float64Array(N*N);
+      for (let u=0; u<N; u++) {
+        const cu = u === 0 ? Math.SQRT1_2 : 1;
+        for (let x=0; x<N; x++) t[u*N + x] = cu * Math.cos(((2*x+1)*u*Math.PI)/(2*N));
+      }
+      cosTables.set(N, t);
+    }
+    return cosTables.get(N);
+  }
+  function dct2(src, N) {
+    const t = cosTable(N);
+    const rows = new Float64Array(N*N);
+    for (let y=0; y<N; y++) for (let u=0; u<N; u++) {
+      let sum = 0;
+      for (let x=0; x<N; x++) sum += src[y*N + x] * t[u*N + x];
+      rows[y*N + u] = sum;
+    }
+    const dst = new Float64Array(N*N);
+    for (let u=0; u<N; u++) for (let v=0; v<N; v++) {
+      let sum = 0;
+      for (let y=0; y<N; y++) sum += rows[y*N + u] * t[v*N + y];
+      dst[v*N + u] = 0.25 * sum; // same scale as before; only the signs against the median count
+    }
+    return dst;
+  }
+
+  // ---------- pixel diff ----------
+  const DIFF_DEFAULTS = {
+    threshold: 32, // max per-channel difference (0-255) still counted as "same" (JPEG noise, antialiasing)
+    cell: 16,      // region grid size in px; changed cells are grouped into regions
+    gap: 2,        // cells between two changed areas that still merge them into one region
+    band: 512      // rows compared per step, keeps getImageData buffers small on tall pages
+  };
+
+  const sizeOf = (src) => ({ w: src.naturalWidth || src.width, h: src.naturalHeight || src.height });
+
+  function bandPixels(src, w, y, h) {
+    const c = document.createElement('canvas');
+    c.width = w; c.height = h;
+    const ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(src, 0, -y);
+    return ctx.getImageData(0, 0, w, h).data;
+  }
+
+  // before/after: images or canvases, compared top-left aligned over the larger of the two sizes
+  // (area only one of them covers counts as changed). Resolves with
+  // { width, height, canvas, changed, ratio, regions: [{ x, y, w, h, pixels }] } — canvas shows
+  // `after` faded with the changed pixels in red; regions are sorted largest first.
+  async function pixelDiff(before, after, opts = {}, onProgress = null) {
+    const o = { ...DIFF_DEFAULTS, ...opts };
+    const A = sizeOf(before), B = sizeOf(after);
+    const w = Math.max(A.w, B.w), h = Math.max(A.h, B.h);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = w; canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalAlpha = 0.25;
+    ctx.filter = 'grayscale(1)';
+    ctx.drawImage(after, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.filter = 'none';
+
+    const cols = Math.ceil(w / o.cell), rows = Math.ceil(h / o.cell);
+    const cells = new Uint32Array(cols * rows); // changed pixels per cell
+    let changed = 0;
+
+    for (let y = 0; y < h; y += o.band) {
+      const bh = Math.min(o.band, h - y);
+      const a = bandPixels(before, w, y, bh);
+      const b = bandPixels(after, w, y, bh);
+      const out = ctx.getImageData(0, y, w, bh);
+      const d = out.data;
+      for (let i = 0, p = 0; i < a.length; i += 4, p++) {
+        if (Math.abs(a[i] - b[i]) <= o.threshold && Math.abs(a[i + 1] - b[i + 1]) <= o.threshold &&
+            Math.abs(a[i + 2] - b[i + 2]) <= o.threshold && Math.abs(a[i + 3] - b[i + 3]) <= o.threshold) continue;
+        d[i] = 229; d[i + 1] = 57; d[i + 2] = 53; d[i + 3] = 255;
+        changed++;
+        const px = p % w, py = y + ((p / w) | 0);
+        cells[((py / o.cell) | 0) * cols + ((px / o.cell) | 0)]++;
+      }
+      ctx.putImageData(out, 0, y);
+      if (onProgress) onProgress(Math.min(1, (y + bh) / h));
+      await new Promise(r => setTimeout(r, 0));
+    }
+
+    return { width: w, height: h, canvas, changed, ratio: w * h ? changed / (w * h) : 0, regions: regionsOf(cells, cols, rows, o, w, h) };
+  }
+
+  // Group changed cells into boxes: flood fill where cells up to `gap` apart count as neighbours
+  function regionsOf(cells, cols, rows, o, w, h) {
+    const seen = new Uint8Array(cells.length);
+    const regions = [];
+    for (let start = 0; start < cells.length; start++) {
+      if (!cells[start] || seen[start]) continue;
+      seen[start] = 1;
+      const stack = [start];
+      let x0 = cols, y0 = rows, x1 = -1, y1 = -1, pixels = 0;
+      while (stack.length) {
+        const i = stack.pop();
+        const cx = i % cols, cy = (i / cols) | 0;
+        x0 = Math.min(x0, cx); y0 = Math.min(y0, cy); x1 = Math.max(x1, cx); y1 = Math.max(y1, cy);
+        pixels += cells[i];
+        for (let ny = Math.max(0, cy - o.gap); ny <= Math.min(rows - 1, cy + o.gap); ny++) {
+          for (let nx = Math.max(0, cx - o.gap); nx <= Math.min(cols - 1, cx + o.gap); nx++) {
+            const j = ny * cols + nx;
+            if (cells[j] && !seen[j]) { seen[j] = 1; stack.push(j); }
+          }
+        }
+      }
+      const x = x0 * o.cell, y = y0 * o.cell;
+      regions.push({ x, y, w: Math.min(w, (x1 + 1) * o.cell) - x, h: Math.min(h, (y1 + 1) * o.cell) - y, pixels });
+    }
+    return regions.sort((r1, r2) => r2.w * r2.h - r1.w * r1.h);
+  }
+
+  self.FPCDiff = { computePHash, hamming, pixelDiff };
+})();
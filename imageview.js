@@ -0,0 +1,339 @@
+// imageview.js — pan / zoom / crop engine of the viewer (no dependencies)
+// The image sits in a transformed stage inside the host; the view is { left, top, scale } of the
+// image's top-left corner in host pixels, the same shape annotate.js reads through getView().
+// - Ctrl+wheel / trackpad pinch / two-finger touch zoom around the pointer, wheel and drag pan
+// - Fit width, fit page and actual size (one image pixel per screen pixel)
+// - Minimap of the whole capture with the visible area, for very tall pages
+// - Crop box in image pixels (drag to draw, move, resize by the handles)
+(() => {
+    if (self.FPCImageView) return;
+
+    const MIN_SCALE = 0.02;
+    const MAX_SCALE = 16;
+    const PAD = 16;           // free space kept around the image when fitting
+    const MINIMAP_W = 120;
+    const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+    // host: positioned element the image is shown in; image: loaded <img> inside host;
+    // minimap: optional <canvas>; onChange(view) after every view change
+    function create({ host, image, minimap = null, onChange = null }) {
+        const stage = document.createElement('div');
+        stage.className = 'iv-stage';
+        stage.style.cssText = 'position:absolute;left:0;top:0;transform-origin:0 0;will-change:transform';
+        image.replaceWith(stage);
+        stage.appendChild(image);
+        image.draggable = false;
+
+        const natW = image.naturalWidth, natH = image.naturalHeight;
+        const view = { left: 0, top: 0, scale: 1 };
+        let mode = 'fit-width';  // fit-width | fit | actual | free (after any manual zoom)
+        let panEnabled = true;
+        let anim = 0;
+
+        // ---------- view ----------
+        function fitScale(m) {
+            const w = Math.max(1, host.clientWidth - 2 * PAD), h = Math.max(1, host.clientHeight - 2 * PAD);
+            if (m === 'fit-width') return w / natW;
+            if (m === 'fit') return Math.min(w / natW, h / natH);
+            return 1 / (window.devicePixelRatio || 1);
+        }
+
+        // Keep some of the image on screen; center it on an axis where it is smaller than the host
+        function clamp() {
+            const w = natW * view.scale, h = natH * view.scale;
+            const hw = host.clientWidth, hh = host.clientHeight;
+            view.left = w + 2 * PAD <= hw ? (hw - w) / 2 : Math.min(PAD, Math.max(hw - w - PAD, view.left));
+            view.top = h + 2 * PAD <= hh ? (hh - h) / 2 : Math.min(PAD, Math.max(hh - h - PAD, view.top));
+        }
+
+        function apply() {
+            clamp();
+            stage.style.transform = `translate(${view.left}px, ${view.top}px) scale(${view.scale})`;
+            // crisp pixels once zoomed past 1:1
+            image.style.imageRendering = view.scale * (window.devicePixelRatio || 1) > 2 ? 'pixelated' : '';
+            placeCrop();
+            drawMinimap();
+            if (onChange) onChange(getView());
+        }
+
+        // Zoom so the image point under (cx, cy) in host pixels stays where it is
+        function zoomAt(scale, cx, cy) {
+            scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+            const ix = (cx - view.left) / view.scale, iy = (cy - view.top) / view.scale;
+            view.scale = scale;
+            view.left = cx - ix * scale;
+            view.top = cy - iy * scale;
+            apply();
+        }
+
+        // Short eased zoom for buttons and keys (wheel and pinch deltas are already continuous)
+        function animateZoom(scale, cx = host.clientWidth / 2, cy = host.clientHeight / 2) {
+            cancelAnimationFrame(anim);
+            const from = view.scale, start = performance.now();
+            const step = (now) => {
+                const t = Math.min(1, (now - start) / 160);
+                const e = 1 - (1 - t) ** 3;
+                zoomAt(from * Math.pow(scale / from, e), cx, cy);
+                if (t < 1) anim = requestAnimationFrame(step);
+            };
+            anim = requestAnimationFrame(step);
+        }
+
+        function setMode(m) {
+            mode = m;
+            const scale = fitScale(m);
+            if (m === 'fit-width') {
+                // keep the vertical position when switching while scrolled down the page
+                const iy = (host.clientHeight / 2 - view.top) / view.scale;
+                view.scale = scale;
+                view.left = PAD;
+                view.top = host.clientHeight / 2 - iy * scale;
+                apply();
+            } else {
+                animateZoom(scale);
+            }
+        }
+
+        function zoomBy(factor) {
+            mode = 'free';
+            animateZoom(view.scale * factor);
+        }
+
+        function panBy(dx, dy) {
+            view.left += dx;
+            view.top += dy;
+            apply();
+        }
+
+        function getView() {
+            return { left: view.left, top: view.top, scale: view.scale, mode };
+        }
+
+        // ---------- input ----------
+        host.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const r = host.getBoundingClientRect();
+            if (e.ctrlKey || e.metaKey) {
+                // trackpad pinch arrives as ctrl+wheel with small deltas; mouse wheels in steps of ~100
+                mode = 'free';
+                const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+                zoomAt(view.scale * Math.exp(-delta * 0.0025), e.clientX - r.left, e.clientY - r.top);
+            } else {
+                const k = e.deltaMode === 1 ? 33 : e.deltaMode === 2 ? host.clientHeight : 1;
+                panBy(-(e.shiftKey ? e.deltaY : e.deltaX) * k, -(e.shiftKey ? 0 : e.deltaY) * k);
+            }
+        }, { passive: false });
+
+        const pointers = new Map(); // pointerId -> { x, y }
+        let pinch = null;           // { dist, scale } while two pointers are down
+        host.addEventListener('pointerdown', (e) => {
+            if (!panEnabled || cropEl || e.button !== 0) return;
+            host.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            host.classList.add('iv-panning');
+            if (pointers.size === 2) {
+                const [a, b] = [...pointers.values()];
+                pinch = { dist: Math.hypot(a.x - b.x, a.y - b.y), scale: view.scale };
+            }
+        });
+        host.addEventListener('pointermove', (e) => {
+            const p = pointers.get(e.pointerId);
+            if (!p) return;
+            const dx = e.clientX - p.x, dy = e.clientY - p.y;
+            p.x = e.clientX;
+            p.y = e.clientY;
+            if (pinch && pointers.size === 2) {
+                const [a, b] = [...pointers.values()];
+                const r = host.getBoundingClientRect();
+                mode = 'free';
+                zoomAt(pinch.scale * Math.hypot(a.x - b.x, a.y - b.y) / Math.max(1, pinch.dist), (a.x + b.x) / 2 - r.left, (a.y + b.y) / 2 - r.top);
+            } else {
+                panBy(dx, dy);
+            }
+        });
+        const release = (e) => {
+            pointers.delete(e.pointerId);
+            if (pointers.size < 2) pinch = null;
+            if (!pointers.size) host.classList.remove('iv-panning');
+        };
+        host.addEventListener('pointerup', release);
+        host.addEventListener('pointercancel', release);
+
+        window.addEventListener('resize', () => {
+            if (mode === 'free') apply();
+            else setMode(mode);
+        });
+
+        // ---------- minimap ----------
+        // Thumbnail drawn once; the visible area is outlined on every view change.
+        // Shown for captures much taller than the window, click or drag to jump.
+        let thumb = null;
+        if (minimap) {
+            const h = Math.max(1, Math.round(natH * MINIMAP_W / natW));
+            thumb = document.createElement('canvas');
+            thumb.width = MINIMAP_W;
+            thumb.height = Math.min(h, 4096);
+            thumb.getContext('2d').drawImage(image, 0, 0, thumb.width, thumb.height);
+            minimap.width = MINIMAP_W;
+            const jump = (e) => {
+                const r = minimap.getBoundingClientRect();
+                const k = natH / r.height;
+                const iy = (e.clientY - r.top) * k, ix = (e.clientX - r.left) * (natW / r.width);
+                view.left = host.clientWidth / 2 - ix * view.scale;
+                view.top = host.clientHeight / 2 - iy * view.scale;
+                apply();
+            };
+            minimap.addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                minimap.setPointerCapture(e.pointerId);
+                jump(e);
+                const move = (ev) => jump(ev);
+                minimap.addEventListener('pointermove', move);
+                minimap.addEventListener('pointerup', () => minimap.removeEventListener('pointermove', move), { once: true });
+            });
+        }
+
+        function drawMinimap() {
+            if (!minimap) return;
+            const visible = natH * view.scale > host.clientHeight * 1.5;
+            minimap.hidden = !visible;
+            if (!visible) return;
+            const maxH = Math.max(60, host.clientHeight - 2 * PAD);
+            const h = Math.min(maxH, thumb.height);
+            if (minimap.height !== h) minimap.height = h;
+            const sx = MINIMAP_W / natW, sy = h / natH;
+            const ctx = minimap.getContext('2d');
+            ctx.clearRect(0, 0, minimap.width, minimap.height);
+            ctx.drawImage(thumb, 0, 0, MINIMAP_W, h);
+            const x = -view.left / view.scale, y = -view.top / view.scale;
+            const w = host.clientWidth / view.scale, vh = host.clientHeight / view.scale;
+            ctx.fillStyle = 'rgba(0, 120, 212, .18)';
+            ctx.strokeStyle = '#0078d4';
+            ctx.lineWidth = 2;
+            ctx.fillRect(x * sx, y * sy, w * sx, vh * sy);
+            ctx.strokeRect(x * sx + 1, y * sy + 1, Math.max(2, w * sx - 2), Math.max(2, vh * sy - 2));
+        }
+
+        // ---------- crop ----------
+        let crop = null;    // { x, y, w, h } in image pixels
+        let cropEl = null;
+        let cropDrag = null;
+
+        function startCrop() {
+            if (cropEl) return;
+            cropEl = document.createElement('div');
+            cropEl.className = 'iv-crop';
+            cropEl.innerHTML = HANDLES.map((h) => `<span class="iv-handle" data-h="${h}"></span>`).join('');
+            host.appendChild(cropEl);
+            // start with the visible part of the image
+            const x = Math.max(0, -view.left / view.scale), y = Math.max(0, -view.top / view.scale);
+            crop = {
+                x, y,
+                w: Math.min(natW - x, host.clientWidth / view.scale),
+                h: Math.min(natH - y, host.clientHeight / view.scale)
+            };
+            inset(crop, 0.1);
+            host.classList.add('iv-cropping');
+            placeCrop();
+        }
+
+        function stopCrop() {
+            if (cropEl) cropEl.remove();
+            cropEl = null;
+            crop = null;
+            host.classList.remove('iv-cropping');
+        }
+
+        function inset(r, f) {
+            r.x += r.w * f; r.y += r.h * f;
+            r.w *= 1 - 2 * f; r.h *= 1 - 2 * f;
+        }
+
+        // integer crop rect clamped to the image, or null
+        function getCrop() {
+            if (!crop) return null;
+            const x = Math.max(0, Math.round(crop.x)), y = Math.max(0, Math.round(crop.y));
+            const w = Math.min(natW - x, Math.round(crop.w)), h = Math.min(natH - y, Math.round(crop.h));
+            return w >= 1 && h >= 1 ? { x, y, width: w, height: h } : null;
+        }
+
+        function placeCrop() {
+            if (!cropEl) return;
+            cropEl.style.left = `${view.left + crop.x * view.scale}px`;
+            cropEl.style.top = `${view.top + crop.y * view.scale}px`;
+            cropEl.style.width = `${crop.w * view.scale}px`;
+            cropEl.style.height = `${crop.h * view.scale}px`;
+            cropEl.dataset.size = `${Math.round(crop.w)} × ${Math.round(crop.h)}`;
+        }
+
+        function toImage(e) {
+            const r = host.getBoundingClientRect();
+            return {
+                x: Math.min(natW, Math.max(0, (e.clientX - r.left - view.left) / view.scale)),
+                y: Math.min(natH, Math.max(0, (e.clientY - r.top - view.top) / view.scale))
+            };
+        }
+
+        // crop mode: drag outside the box draws a new one, inside moves it, a handle resizes it
+        host.addEventListener('pointerdown', (e) => {
+            if (!cropEl || e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const p = toImage(e);
+            const handle = e.target.dataset && e.target.dataset.h;
+            if (handle) cropDrag = { kind: handle, from: p, start: { ...crop } };
+            else if (e.target === cropEl) cropDrag = { kind: 'move', from: p, start: { ...crop } };
+            else cropDrag = { kind: 'se', from: p, start: { x: p.x, y: p.y, w: 0, h: 0 } };
+            host.setPointerCapture(e.pointerId);
+        }, true);
+        host.addEventListener('pointermove', (e) => {
+            if (!cropDrag) return;
+            e.stopPropagation();
+            const p = toImage(e);
+            const s = cropDrag.start, dx = p.x - cropDrag.from.x, dy = p.y - cropDrag.from.y;
+            let { x, y, w, h } = s;
+            if (cropDrag.kind === 'move') {
+                x = Math.min(natW - w, Math.max(0, x + dx));
+                y = Math.min(natH - h, Math.max(0, y + dy));
+            } else {
+                let x0 = s.x, y0 = s.y, x1 = s.x + s.w, y1 = s.y + s.h;
+                if (cropDrag.kind.includes('w')) x0 += dx;
+                if (cropDrag.kind.includes('e')) x1 += dx;
+                if (cropDrag.kind.includes('n')) y0 += dy;
+                if (cropDrag.kind.includes('s')) y1 += dy;
+                x = Math.max(0, Math.min(x0, x1)); y = Math.max(0, Math.min(y0, y1));
+                w = Math.min(natW, Math.max(x0, x1)) - x; h = Math.min(natH, Math.max(y0, y1)) - y;
+            }
+            crop = { x, y, w, h };
+            placeCrop();
+        }, true);
+        host.addEventListener('pointerup', (e) => {
+            if (!cropDrag) return;
+            e.stopPropagation();
+            cropDrag = null;
+        }, true);
+
+        // open at the top of the page, fitted to the width
+        host.classList.add('iv-pannable');
+        view.scale = fitScale('fit-width');
+        view.left = view.top = PAD;
+        apply();
+
+        return {
+            getView,
+            setMode,
+            zoomBy,
+            panBy,
+            setPanEnabled(on) {
+                panEnabled = on;
+                host.classList.toggle('iv-pannable', on);
+            },
+            startCrop,
+            stopCrop,
+            getCrop,
+            isCropping: () => !!cropEl
+        };
+    }
+
+    self.FPCImageView = { create };
+})();
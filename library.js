@@ -0,0 +1,120 @@
+// library.js — browse the IndexedDB capture history (history.js)
+(function () {
+  const grid = document.getElementById('grid');
+  const search = document.getElementById('search');
+  const summary = document.getElementById('summary');
+  const empty = document.getElementById('empty');
+
+  // object URLs of the thumbnails currently on screen, revoked on every re-render
+  let thumbUrls = [];
+
+  function extFor(blob) {
+    const f = Object.values(FPCExport.FORMATS).find((x) => x.mime === blob.type);
+    return f ? f.ext : 'img';
+  }
+
+  function formatBytes(n) {
+    if (n > 1048576) return (n / 1048576).toFixed(1) + ' MB';
+    return Math.max(1, Math.round(n / 1024)) + ' KB';
+  }
+
+  function hostOf(url) {
+    try { return new URL(url).hostname; } catch (_) { return 'capture'; }
+  }
+
+  function openViewer(id, part) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`viewer.html?id=${id}${part ? '&part=' + part : ''}`) });
+  }
+
+  async function download(rec) {
+    const blobs = await FPCHistory.getImages(rec.id);
+    if (!blobs) return;
+    blobs.forEach((blob, i) => {
+      const suffix = blobs.length > 1 ? `_part${String(i + 1).padStart(2, '0')}of${String(blobs.length).padStart(2, '0')}` : '';
+      const u = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = u;
+      a.download = `${hostOf(rec.url)}_${rec.kind || 'fullpage'}_${rec.createdAt}${suffix}.${extFor(blob)}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(u), 2000);
+    });
+  }
+
+  function card(rec) {
+    const el = document.createElement('div');
+    el.className = 'card';
+
+    const img = document.createElement('img');
+    img.className = 'thumb';
+    img.alt = rec.title || rec.url || 'capture';
+    if (rec.thumb) {
+      const u = URL.createObjectURL(rec.thumb);
+      thumbUrls.push(u);
+      img.src = u;
+    }
+    img.addEventListener('click', () => openViewer(rec.id));
+
+    const body = document.createElement('div');
+    body.className = 'body';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = rec.title || hostOf(rec.url);
+    const link = document.createElement('a');
+    link.className = 'url';
+    link.href = rec.url;
+    link.target = '_blank';
+    link.textContent = rec.url;
+    const info = document.createElement('div');
+    info.className = 'info';
+    info.textContent = [
+      new Date(rec.createdAt).toLocaleString(),
+      rec.device ? rec.device.label : null,
+      `${rec.width}×${rec.height} @${rec.dpr}x`,
+      rec.parts > 1 ? `${rec.parts} parts` : null,
+      formatBytes(rec.bytes || 0)
+    ].filter(Boolean).join(' · ');
+    body.append(title, link, info);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const openBtn = document.createElement('button');
+    openBtn.textContent = 'Open';
+    openBtn.addEventListener('click', () => openViewer(rec.id));
+    const dlBtn = document.createElement('button');
+    dlBtn.textContent = 'Download';
+    dlBtn.addEventListener('click', () => download(rec));
+    const delBtn = document.createElement('button');
+    delBtn.className = 'danger';
+    delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete the capture of ${rec.title || rec.url}?`)) return;
+      await FPCHistory.remove(rec.id);
+      render();
+    });
+    actions.append(openBtn, dlBtn, delBtn);
+
+    el.append(img, body, actions);
+    return el;
+  }
+
+  async function render() {
+    const records = await FPCHistory.list({ query: search.value });
+    thumbUrls.forEach((u) => URL.revokeObjectURL(u));
+    thumbUrls = [];
+    grid.replaceChildren(...records.map(card));
+    empty.hidden = records.length > 0;
+    const bytes = records.reduce((n, r) => n + (r.bytes || 0), 0);
+    summary.textContent = `${records.length} capture${records.length === 1 ? '' : 's'} · ${formatBytes(bytes)}`;
+  }
+
+  let searchTimer = null;
+  search.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(render, 150);
+  });
+
+  render().catch((e) => {
+    console.error('library render failed:', e);
+    summary.textContent = 'Could not open the history database.';
+  });
+})();
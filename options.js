@@ -0,0 +1,217 @@
+// options.js — edit the synced settings (settings.js): output, tuning knobs, per-site overrides;
+// and the local allowlist of the external API (background.js)
+(function () {
+  const { KNOBS } = FPCSettings;
+  const $ = (id) => document.getElementById(id);
+
+  let settings = null;   // global settings as loaded
+  let currentSite = null; // hostname open in the site editor
+
+  // One row per knob; `inherit` renders blank fields with the inherited value as placeholder
+  function renderKnobs(container, section, values, inherit) {
+    container.replaceChildren(...KNOBS[section].map((k) => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      const label = document.createElement('label');
+      label.textContent = k.label + ' ';
+      if (k.unit) {
+        const unit = document.createElement('span');
+        unit.className = 'unit';
+        unit.textContent = k.unit;
+        label.appendChild(unit);
+      }
+      let input;
+      if (k.type === 'bool') {
+        if (inherit) {
+          input = document.createElement('select');
+          input.innerHTML = '<option value="">inherit</option><option value="1">on</option><option value="0">off</option>';
+          input.value = k.key in values ? (values[k.key] ? '1' : '0') : '';
+        } else {
+          input = document.createElement('input');
+          input.type = 'checkbox';
+          input.checked = !!values[k.key];
+        }
+      } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = k.min;
+        input.max = k.max;
+        input.step = k.step || 1;
+        input.value = k.key in values ? values[k.key] : '';
+        if (inherit) input.placeholder = inherit[k.key];
+      }
+      input.dataset.section = section;
+      input.dataset.key = k.key;
+      input.dataset.type = k.type || 'number';
+      label.htmlFor = input.id = `${container.id}_${k.key}`;
+      row.append(label, input);
+      return row;
+    }));
+  }
+
+  function readKnobs(container) {
+    const out = {};
+    container.querySelectorAll('[data-key]').forEach((input) => {
+      if (input.type === 'checkbox') out[input.dataset.key] = input.checked;
+      else if (input.dataset.type === 'bool') { if (input.value !== '') out[input.dataset.key] = input.value === '1'; }
+      else if (input.value !== '') out[input.dataset.key] = Number(input.value);
+    });
+    return out;
+  }
+
+  function flash(el, text) {
+    el.textContent = text;
+    setTimeout(() => { if (el.textContent === text) el.textContent = ''; }, 2000);
+  }
+
+  // ---------- global ----------
+  function renderGlobal() {
+    const o = FPCExport.normalize(settings.output);
+    $('format').value = o.format;
+    $('quality').value = Math.round(o.quality * 100);
+    $('paper').value = o.paper;
+    $('marginMm').value = o.marginMm;
+    $('smartBreaks').checked = o.smartBreaks !== false;
+    $('textLayer').checked = o.textLayer;
+    $('metadata').value = o.metadata;
+    $('archive').value = o.archive;
+    renderKnobs($('captureKnobs'), 'capture', settings.capture);
+    renderKnobs($('backgroundKnobs'), 'background', settings.background);
+  }
+
+  $('save').addEventListener('click', async () => {
+    settings = await FPCSettings.save({
+      output: {
+        format: $('format').value,
+        quality: Number($('quality').value) / 100,
+        paper: $('paper').value,
+        marginMm: Number($('marginMm').value),
+        smartBreaks: $('smartBreaks').checked,
+        textLayer: $('textLayer').checked,
+        metadata: $('metadata').value,
+        archive: $('archive').value
+      },
+      capture: readKnobs($('captureKnobs')),
+      background: readKnobs($('backgroundKnobs')),
+      responsive: settings.responsive // edited in the popup
+    });
+    renderGlobal();
+    if (currentSite) openSite(currentSite);
+    flash($('status'), 'Saved.');
+  });
+
+  $('reset').addEventListener('click', async () => {
+    if (!confirm('Reset all global settings to their defaults? Per-site overrides are kept.')) return;
+    settings = await FPCSettings.save(FPCSettings.DEFAULTS);
+    renderGlobal();
+    flash($('status'), 'Defaults restored.');
+  });
+
+  // ---------- per-site ----------
+  async function renderSites() {
+    const sites = await FPCSettings.listSites();
+    $('sites').replaceChildren(...sites.map(({ hostname }) => {
+      const b = document.createElement('button');
+      b.className = 'secondary' + (hostname === currentSite ? ' active' : '');
+      b.textContent = hostname;
+      b.addEventListener('click', () => openSite(hostname));
+      return b;
+    }));
+  }
+
+  async function openSite(hostname) {
+    currentSite = hostname;
+    const overrides = (await FPCSettings.loadSite(hostname)) || {};
+    $('siteTitle').textContent = hostname;
+    renderKnobs($('siteCaptureKnobs'), 'capture', overrides.capture || {}, settings.capture);
+    renderKnobs($('siteBackgroundKnobs'), 'background', overrides.background || {}, settings.background);
+    const bands = overrides.bands || {};
+    $('siteBandsHide').value = (bands.hide || []).join('\n');
+    $('siteBandsKeep').value = (bands.keep || []).join('\n');
+    $('siteEditor').hidden = false;
+    renderSites();
+  }
+
+  $('addSite').addEventListener('click', () => {
+    let host = $('newSite').value.trim();
+    try { host = new URL(host.includes('://') ? host : 'https://' + host).hostname; } catch (_) { host = ''; }
+    if (!host) return;
+    $('newSite').value = '';
+    openSite(host);
+  });
+
+  $('saveSite').addEventListener('click', async () => {
+    if (!currentSite) return;
+    await FPCSettings.saveSite(currentSite, {
+      capture: readKnobs($('siteCaptureKnobs')),
+      background: readKnobs($('siteBackgroundKnobs')),
+      bands: { hide: $('siteBandsHide').value.split('\n'), keep: $('siteBandsKeep').value.split('\n') }
+    });
+    await renderSites();
+    flash($('siteStatus'), 'Saved.');
+  });
+
+  $('removeSite').addEventListener('click', async () => {
+    if (!currentSite) return;
+    await FPCSettings.removeSite(currentSite);
+    currentSite = null;
+    $('siteEditor').hidden = true;
+    renderSites();
+  });
+
+  // ---------- external API ----------
+  // Kept in chrome.storage.local: extension ids differ between machines for unpacked helpers
+  const EXTERNAL_ALLOW_KEY = 'fpc_external_allow';
+
+  // Pages can only connect from the manifest's externally_connectable matches ('http://localhost/*'):
+  // scheme and host of each, any port
+  const CONNECTABLE = ((chrome.runtime.getManifest().externally_connectable || {}).matches || [])
+    .map((m) => /^(\w+):\/\/([^/]+)\//.exec(m))
+    .filter(Boolean)
+    .map(([, scheme, host]) => ({ protocol: `${scheme}:`, hostname: host }));
+
+  function connectable(u) {
+    return CONNECTABLE.some((c) => c.protocol === u.protocol && c.hostname === u.hostname);
+  }
+
+  // Extension ids as they are, page origins normalized; returns { allow, invalid }
+  function parseAllowlist(text) {
+    const allow = [], invalid = [];
+    for (const raw of text.split('\n')) {
+      const line = raw.trim();
+      if (!line) continue;
+      if (/^[a-p]{32}$/.test(line)) { allow.push(line); continue; }
+      try {
+        const u = new URL(line);
+        if (connectable(u)) allow.push(u.origin);
+        else invalid.push(line);
+      } catch (_) {
+        invalid.push(line);
+      }
+    }
+    return { allow: [...new Set(allow)], invalid };
+  }
+
+  $('extensionId').textContent = chrome.runtime.id;
+  chrome.storage.local.get(EXTERNAL_ALLOW_KEY).then((res) => {
+    $('externalAllow').value = (res[EXTERNAL_ALLOW_KEY] || []).join('\n');
+  });
+
+  $('saveExternal').addEventListener('click', async () => {
+    const { allow, invalid } = parseAllowlist($('externalAllow').value);
+    $('externalStatus').className = invalid.length ? 'error' : '';
+    if (invalid.length) {
+      $('externalStatus').textContent = `Not an extension id or a localhost origin: ${invalid.join(', ')}`;
+      return;
+    }
+    await chrome.storage.local.set({ [EXTERNAL_ALLOW_KEY]: allow });
+    $('externalAllow').value = allow.join('\n');
+    flash($('externalStatus'), 'Saved.');
+  });
+
+  FPCSettings.load().then((s) => {
+    settings = s;
+    renderGlobal();
+    renderSites();
+  });
+})();
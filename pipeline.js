@@ -0,0 +1,368 @@
+// pipeline.js — tile pipeline in the offscreen document (offscreen.html, created by background.js)
+// Tiles from background.js capture-visible are decoded here (createImageBitmap) and kept per capture
+// session; the content script only gets their size and pHash back and later asks for the output by
+// tile index. Seam matching, compositing on OffscreenCanvas, encoding, downloads and the history
+// entry all run here, off the captured page's main thread.
+// Messages come from background.js only (msg.target === 'offscreen'; Blobs made in the worker are
+// posted to this document instead, see pipeline-download-blob).
+(function () {
+  // session id -> { tiles: [ImageBitmap | OffscreenCanvas | null], shots: [{ label, canvas }] }
+  const sessions = new Map();
+
+  function session(id) {
+    if (!id) throw new Error('no pipeline session');
+    if (!sessions.has(id)) sessions.set(id, { tiles: [], shots: [] });
+    return sessions.get(id);
+  }
+
+  function release(img) {
+    if (img && typeof img.close === 'function') img.close();
+  }
+
+  // ---------- tiles ----------
+  // msg: { session, dataUrl } → { index, width, height, hash } (hash: pHash as hex)
+  async function addTile(msg) {
+    const blob = await (await fetch(msg.dataUrl)).blob();
+    const bmp = await createImageBitmap(blob);
+    const s = session(msg.session);
+    s.tiles.push(bmp);
+    return describe(s, s.tiles.length - 1);
+  }
+
+  async function describe(s, index) {
+    const img = s.tiles[index];
+    const hash = await FPCDiff.computePHash(img);
+    return { index, width: img.width, height: img.height, hash: hash.toString(16) };
+  }
+
+  // One row of a wide page (contentScript.js captureRow): the columns laid side by side.
+  // msg: { session, cols: [{ index, x }], bx, bw, width, height, extra, keepRight } in device px;
+  // the column tiles are replaced by the composed row.
+  async function composeRow(msg) {
+    const s = session(msg.session);
+    const tiles = msg.cols.map(c => s.tiles[c.index]);
+    const first = tiles[0], last = tiles[tiles.length - 1];
+    const canvas = new OffscreenCanvas(msg.width, msg.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+    msg.cols.forEach((c, i) => {
+      ctx.drawImage(tiles[i], msg.bx, 0, msg.bw, msg.height, msg.bx + c.x, 0, msg.bw, msg.height);
+    });
+    if (msg.keepRight) {
+      const rx = msg.bx + msg.bw;
+      ctx.drawImage(last, rx, 0, last.width - rx, msg.height, rx + msg.extra, 0, last.width - rx, msg.height);
+    }
+    for (const c of msg.cols) {
+      release(s.tiles[c.index]);
+      s.tiles[c.index] = null;
+    }
+    s.tiles.push(canvas);
+    return describe(s, s.tiles.length - 1);
+  }
+
+  function close(msg) {
+    const s = sessions.get(msg.session);
+    if (s) {
+      s.tiles.forEach(release);
+      sessions.delete(msg.session);
+    }
+    return Promise.resolve({});
+  }
+
+  // ---------- output ----------
+  // msg: {
+  //   session, items: [{ tile, sx?, sy?, sw?, sh?, cropTop?, scrollTop?, scale?, validTop? }] | contactSheet: true,
+  //   output, meta, text, base, download, sheet?: { session, label }, seamMinScore, maxCanvasArea
+  // }
+  // Stitches the tiles (or the device shots of a contact sheet), downloads the result unless
+  // msg.download is false (batch runs), stores it in the history and closes the session.
+  // Resolves with { id, parts, width, height, seams }.
+  async function deliver(msg) {
+    const s = session(msg.session);
+    const output = FPCExport.normalize(msg.output);
+    const limits = canvasLimits(msg.maxCanvasArea);
+    let parts, seams = null;
+    try {
+      if (msg.contactSheet) {
+        if (!s.shots.length) throw new Error('no device captures to combine');
+        parts = [composeContactSheet(s.shots, limits)];
+      } else {
+        let items = msg.items.map(t => ({ ...t, img: s.tiles[t.tile] }));
+        if (items.some(t => !t.img)) throw new Error('tile missing from the pipeline session');
+        if (items.length > 1 && items.every(t => typeof t.scrollTop === 'number')) {
+          ({ items, seams } = alignTiles(items, msg.seamMinScore));
+        }
+        parts = stitch(items, limits);
+      }
+    } finally {
+      close(msg);
+    }
+    if (msg.sheet) session(msg.sheet.session).shots.push({ label: msg.sheet.label, canvas: cssCopy(parts, msg.meta.dpr, limits) });
+
+    const { meta, text, base } = msg;
+    const ext = FPCExport.FORMATS[output.format].ext;
+    // the history keeps images: the encoded parts, or lossless PNG parts behind a PDF
+    const images = [];
+    if (output.format === 'pdf') {
+      if (msg.download) await download(await FPCExport.canvasToPdf(parts, output, { ...meta, text }), `${base}.${ext}`);
+      for (const c of parts) images.push(await FPCExport.encode(c, { ...output, format: 'png' }, meta));
+    } else {
+      for (let i = 0; i < parts.length; i++) {
+        const b = await FPCExport.encode(parts[i], output, meta);
+        images.push(b);
+        const suffix = parts.length > 1 ? `_part${String(i + 1).padStart(2, '0')}of${String(parts.length).padStart(2, '0')}` : '';
+        if (msg.download) await download(b, `${base}${suffix}.${ext}`);
+      }
+    }
+
+    const width = Math.max(...parts.map(c => c.width));
+    const height = parts.reduce((h, c) => h + c.height, 0);
+    let thumb = null;
+    try {
+      thumb = await makeThumbnail(images[0]);
+    } catch (err) {
+      console.warn('[pipeline] thumbnail failed:', err && err.message ? err.message : err);
+    }
+    // text: PDF text layer, so the PDF can be rebuilt from the history (batch ZIP)
+    const id = await FPCHistory.add({ ...meta, format: output.format, width, height, text, thumb }, images);
+    return { id, parts: parts.length, width, height, seams };
+  }
+
+  // chrome.downloads lives in background.js; it reads the Blob through this document's object URL
+  async function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    try {
+      const res = await chrome.runtime.sendMessage({ action: 'pipeline-download', url, filename });
+      if (!res || !res.success) throw new Error('download failed: ' + (res && res.error ? res.error : 'unknown error'));
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+  }
+
+  // Library thumbnail: the top of the capture, 240px wide, as a small JPEG Blob
+  async function makeThumbnail(blob, width = 240) {
+    const full = await createImageBitmap(blob);
+    const cropH = Math.min(full.height, Math.round(full.width * 1.5));
+    const bmp = await createImageBitmap(full, 0, 0, full.width, cropH, {
+      resizeWidth: width,
+      resizeHeight: Math.max(1, Math.round(cropH * width / full.width)),
+      resizeQuality: 'medium'
+    });
+    full.close();
+    const canvas = new OffscreenCanvas(bmp.width, bmp.height);
+    canvas.getContext('2d').drawImage(bmp, 0, 0);
+    bmp.close();
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  }
+
+  // ---------- stitch ----------
+  // items: { img, cropTop } for full-width tiles, or { img, sx, sy, sw, sh } for cropped slices.
+  // Full-width tiles that carry their scrollTop were given their crop by alignTiles().
+  function stitch(items, { maxSide, maxArea }) {
+    const src = items.map(t => {
+      const sx = t.sx || 0;
+      const sy = Math.max(0, t.sy ?? t.cropTop ?? 0);
+      return { img: t.img, sx, sy, sw: t.sw ?? t.img.width - sx, sh: t.sh ?? t.img.height - sy };
+    });
+    const width = Math.max(...src.map(t => t.sw));
+    const height = src.reduce((h, t) => h + t.sh, 0);
+
+    // One canvas per part: each stays inside the browser's side and area limits
+    if (width > maxSide) throw new Error(`capture is ${width}px wide, over the browser canvas limit of ${maxSide}px`);
+    const partH = Math.max(1, Math.min(maxSide, Math.floor(maxArea / width)));
+    const parts = [];
+    for (let top = 0; top < height; top += partH) {
+      const h = Math.min(partH, height - top);
+      const canvas = new OffscreenCanvas(width, h);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error(`could not allocate a ${width}×${h} canvas`);
+
+      // draw the slice of every tile that falls into [top, top + h)
+      let y = 0;
+      for (const t of src) {
+        const from = Math.max(y, top), to = Math.min(y + t.sh, top + h);
+        if (to > from) ctx.drawImage(t.img, t.sx, t.sy + (from - y), t.sw, to - from, 0, from - top, t.sw, to - from);
+        y += t.sh;
+      }
+      parts.push(canvas);
+    }
+    if (parts.length > 1) console.warn(`[pipeline] output ${width}×${height} split into ${parts.length} parts of ≤${partH}px`);
+    return parts;
+  }
+
+  // Largest canvas side that actually renders (probed once with a 1px-wide canvas);
+  // the area limit cannot be probed cheaply, so it comes from the capture settings.
+  let maxSideCache = 0;
+  function canvasLimits(maxArea) {
+    if (!maxSideCache) {
+      maxSideCache = 1024;
+      for (const side of [32767, 16384, 8192, 4096]) {
+        try {
+          const c = new OffscreenCanvas(1, side);
+          const ctx = c.getContext('2d');
+          ctx.fillStyle = '#f00';
+          ctx.fillRect(0, side - 1, 1, 1);
+          if (ctx.getImageData(0, side - 1, 1, 1).data[3] === 255) { maxSideCache = side; break; }
+        } catch {}
+      }
+    }
+    return { maxSide: maxSideCache, maxArea: maxArea || FPCSettings.DEFAULTS.capture.maxCanvasArea };
+  }
+
+  // ---------- seam matching ----------
+  const SEAM_BINS = 64;  // columns per row signature
+  const SEAM_ROWS = 32;  // template height in CSS px
+
+  // For every tile N+1, find how far it is displaced from tile N by matching a band of its
+  // top rows against tile N (normalized cross-correlation on per-row luminance signatures).
+  // Weak or ambiguous matches fall back to the offset implied by the recorded scrollTop.
+  // Returns { items, seams: { matched, total, minScore } }.
+  function alignTiles(items, minScoreCfg) {
+    const out = [{ ...items[0], sy: items[0].sy ?? 0 }];
+    let prevSig = rowSignature(items[0].img);
+    let matched = 0, minScore = 1;
+
+    for (let i = 1; i < items.length; i++) {
+      const prev = items[i - 1], cur = items[i];
+      const scale = prev.scale || 1;
+      const expected = Math.round((cur.scrollTop - prev.scrollTop) * scale);
+      const curSig = rowSignature(cur.img);
+      const m = matchSeam(prevSig, prev.img.height, prev.validTop || 0, curSig, cur.img.height, expected, Math.round(SEAM_ROWS * scale));
+
+      const offset = m.score >= minScoreCfg ? m.offset : expected;
+      if (m.score >= minScoreCfg) matched++;
+      else console.warn(`[pipeline] weak seam ${i} (score ${m.score.toFixed(3)}) — using scroll offset ${expected}px`);
+      minScore = Math.min(minScore, m.score);
+
+      out.push({ ...cur, sy: Math.max(0, Math.min(cur.img.height, prev.img.height - offset)) });
+      prevSig = curSig;
+    }
+    return { items: out, seams: { matched, total: items.length - 1, minScore } };
+  }
+
+  // Per-row luminance, horizontally averaged down to SEAM_BINS columns
+  function rowSignature(img) {
+    const c = new OffscreenCanvas(SEAM_BINS, img.height);
+    const ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, img.width, img.height, 0, 0, SEAM_BINS, img.height);
+    const data = ctx.getImageData(0, 0, SEAM_BINS, img.height).data;
+    const sig = new Float32Array(SEAM_BINS * img.height);
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+      sig[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return sig;
+  }
+
+  // Returns { offset, score }: row y of `cur` shows the same content as row y + offset of `prev`.
+  function matchSeam(prevSig, prevH, prevValidTop, curSig, curH, expected, tplRows) {
+    const W = SEAM_BINS - 2; // ignore the right edge, the scrollbar thumb moves between tiles
+    const a = Math.max(0, prevValidTop - expected);
+    if (a + tplRows > curH) return { offset: expected, score: 0 };
+
+    // template statistics
+    let tSum = 0, tSq = 0;
+    const n = tplRows * W;
+    for (let y = 0; y < tplRows; y++) for (let x = 0; x < W; x++) {
+      const v = curSig[(a + y) * SEAM_BINS + x]; tSum += v; tSq += v * v;
+    }
+    const tMean = tSum / n;
+    const tVar = tSq - n * tMean * tMean;
+    if (tVar < n * 4) return { offset: expected, score: 0 }; // flat band (blank area): nothing to lock onto
+
+    let best = { offset: expected, score: 0 };
+    const lo = Math.max(0, prevValidTop - a), hi = prevH - a - tplRows;
+    for (let d = lo; d <= hi; d++) {
+      let cSum = 0, cSq = 0, cross = 0;
+      for (let y = 0; y < tplRows; y++) {
+        const pr = (a + y + d) * SEAM_BINS, cr = (a + y) * SEAM_BINS;
+        for (let x = 0; x < W; x++) {
+          const p = prevSig[pr + x];
+          cSum += p; cSq += p * p; cross += p * curSig[cr + x];
+        }
+      }
+      const cVar = cSq - cSum * cSum / n;
+      if (cVar <= 0) continue;
+      const score = (cross - cSum * tMean) / Math.sqrt(tVar * cVar);
+      // on repetitive content prefer the candidate closest to what the scroll offset predicts
+      const better = score > best.score + 0.005 ||
+        (score > best.score - 0.005 && Math.abs(d - expected) < Math.abs(best.offset - expected));
+      if (better) best = { offset: d, score: Math.max(score, best.score) };
+    }
+    return best;
+  }
+
+  // ---------- contact sheet ----------
+  // The capture at CSS px size (device pixel ratio divided out), so devices line up at the same scale
+  function cssCopy(parts, dpr, { maxSide }) {
+    dpr = dpr || 1;
+    const w = Math.max(1, Math.round(Math.max(...parts.map(c => c.width)) / dpr));
+    const h = Math.max(1, Math.round(parts.reduce((n, c) => n + c.height, 0) / dpr));
+    const c = new OffscreenCanvas(w, Math.min(h, maxSide));
+    const ctx = c.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    let y = 0;
+    for (const p of parts) {
+      ctx.drawImage(p, 0, y, p.width / dpr, p.height / dpr);
+      y += p.height / dpr;
+    }
+    return c;
+  }
+
+  // Device captures side by side, top-aligned, each labeled; scaled down to fit the canvas limits
+  function composeContactSheet(shots, { maxSide, maxArea }) {
+    const PAD = 32, LABEL = 36;
+    const natW = PAD + shots.reduce((n, s) => n + s.canvas.width + PAD, 0);
+    const natH = PAD + LABEL + Math.max(...shots.map(s => s.canvas.height)) + PAD;
+    const scale = Math.min(1, maxSide / natW, maxSide / natH, Math.sqrt(maxArea / (natW * natH)));
+    const sheet = new OffscreenCanvas(Math.floor(natW * scale), Math.floor(natH * scale));
+    const ctx = sheet.getContext('2d');
+    if (!ctx) throw new Error(`could not allocate a ${sheet.width}×${sheet.height} contact sheet`);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, 0, natW, natH);
+    ctx.font = '600 20px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+    ctx.textBaseline = 'middle';
+    let x = PAD;
+    for (const s of shots) {
+      ctx.fillStyle = '#111827';
+      ctx.fillText(`${s.label} — ${s.canvas.width}px`, x, PAD + LABEL / 2);
+      ctx.fillStyle = 'rgba(0,0,0,.15)';
+      ctx.fillRect(x - 1, PAD + LABEL - 1, s.canvas.width + 2, s.canvas.height + 2);
+      ctx.drawImage(s.canvas, x, PAD + LABEL);
+      x += s.canvas.width + PAD;
+    }
+    return sheet;
+  }
+
+  // ---------- messages ----------
+  const HANDLERS = {
+    'pipeline-add': addTile,
+    'pipeline-compose-row': composeRow,
+    'pipeline-deliver': deliver,
+    'pipeline-close': close
+  };
+
+  // background.js downloadFromWorker(): { action, blob, filename }, answered on the transferred port
+  navigator.serviceWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (!msg || msg.action !== 'pipeline-download-blob' || !e.ports[0]) return;
+    download(msg.blob, msg.filename).then(
+      () => e.ports[0].postMessage({ success: true }),
+      (err) => e.ports[0].postMessage({ success: false, error: err && err.message ? err.message : String(err) })
+    );
+  };
+
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (!msg || msg.target !== 'offscreen') return false;
+    const handler = HANDLERS[msg.action];
+    if (!handler) return false;
+    handler(msg).then(
+      (res) => sendResponse({ success: true, ...res }),
+      (err) => {
+        console.error(`[pipeline] ${msg.action} failed:`, err);
+        sendResponse({ success: false, error: err && err.message ? err.message : String(err) });
+      }
+    );
+    return true;
+  });
+})();
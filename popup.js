@@ -1,37 +1,250 @@
-// popup.js — send start-capture to background
+// popup.js — send start-capture (or a region/element mode) to background
 (function () {
-  const btn =
-    document.getElementById("captureBtn") ||
-    document.getElementById("startCapture") ||
-    document.querySelector("button");
+  const btn = document.getElementById("capture");
+  const statusEl = document.getElementById("status");
 
-  const statusEl =
-    document.getElementById("status") ||
-    document.getElementById("statusText") ||
-    document.querySelector(".status") ||
-    { textContent: "" };
+  const engineEl = document.getElementById("engine");
+  const formatEl = document.getElementById("format");
+  const qualityEl = document.getElementById("quality");
+  const paperEl = document.getElementById("paper");
+  const marginEl = document.getElementById("marginMm");
+  const smartBreaksEl = document.getElementById("smartBreaks");
 
   if (!btn) {
-    console.warn("Popup: no capture button found. Ensure #captureBtn exists.");
+    console.warn("Popup: no capture button found. Ensure #capture exists.");
     return;
   }
 
-  btn.addEventListener("click", async () => {
+  // remember the chosen engine between popup openings
+  if (engineEl) {
+    chrome.storage.local.get('fpc_engine').then((res) => {
+      if (res && res.fpc_engine) engineEl.value = res.fpc_engine;
+    });
+    engineEl.addEventListener("change", () => {
+      chrome.storage.local.set({ fpc_engine: engineEl.value });
+    });
+  }
+
+  // output format settings, forwarded with every start message (see exporter.js)
+  function readOutput() {
+    if (!formatEl) return undefined;
+    return {
+      format: formatEl.value,
+      quality: Number(qualityEl.value) / 100,
+      paper: paperEl.value,
+      marginMm: Number(marginEl.value),
+      smartBreaks: smartBreaksEl.checked
+    };
+  }
+
+  function syncOutputUi() {
+    const f = formatEl.value;
+    document.getElementById("qualityRow").hidden = !(f === 'jpeg' || f === 'webp');
+    document.getElementById("pdfOpts").hidden = f !== 'pdf';
+  }
+
+  // same output settings as the options page (synced, settings.js)
+  if (formatEl) {
+    FPCSettings.load().then((settings) => {
+      const o = FPCExport.normalize(settings.output);
+      formatEl.value = o.format;
+      qualityEl.value = Math.round(o.quality * 100);
+      paperEl.value = o.paper;
+      marginEl.value = o.marginMm;
+      smartBreaksEl.checked = o.smartBreaks !== false;
+      syncOutputUi();
+    });
+    [formatEl, qualityEl, paperEl, marginEl, smartBreaksEl].forEach((el) => {
+      el.addEventListener("change", () => {
+        syncOutputUi();
+        FPCSettings.update({ output: readOutput() });
+      });
+    });
+  }
+
+  // pre-capture review of the detected sticky bands (a synced capture knob, see settings.js)
+  const reviewEl = document.getElementById("reviewBands");
+  if (reviewEl) {
+    FPCSettings.load().then((settings) => { reviewEl.checked = !!settings.capture.reviewBands; });
+    reviewEl.addEventListener("change", () => FPCSettings.update({ capture: { reviewBands: reviewEl.checked } }));
+  }
+
+  // redaction settings; undefined when nothing is enabled so the page is left alone
+  const redactEls = {
+    passwords: document.getElementById("redactPasswords"),
+    emails: document.getElementById("redactEmails"),
+    cards: document.getElementById("redactCards"),
+    phones: document.getElementById("redactPhones")
+  };
+  const redactSelectorsEl = document.getElementById("redactSelectors");
+
+  function readRedact() {
+    if (!redactSelectorsEl) return undefined;
+    const r = { selectors: redactSelectorsEl.value.split("\n").map((x) => x.trim()).filter(Boolean) };
+    Object.keys(redactEls).forEach((k) => { r[k] = redactEls[k].checked; });
+    const any = r.selectors.length || Object.keys(redactEls).some((k) => r[k]);
+    return any ? r : undefined;
+  }
+
+  if (redactSelectorsEl) {
+    chrome.storage.local.get('fpc_redact').then((res) => {
+      const r = res && res.fpc_redact;
+      if (!r) return;
+      Object.keys(redactEls).forEach((k) => { redactEls[k].checked = !!r[k]; });
+      redactSelectorsEl.value = (r.selectors || []).join("\n");
+      if (readRedact()) document.getElementById("redactOpts").open = true;
+    });
+    [...Object.values(redactEls), redactSelectorsEl].forEach((el) => {
+      el.addEventListener("change", () => {
+        chrome.storage.local.set({ fpc_redact: readRedact() || null });
+      });
+    });
+  }
+
+  async function start(msg) {
+    msg.output = readOutput();
+    msg.redact = readRedact();
     statusEl.textContent = "Initializing capture…";
     try {
-      const resp = await chrome.runtime.sendMessage({ action: 'start-capture' });
-      if (resp && resp.success) {
-        statusEl.textContent = 'Capture started — observe the tab.';
-      } else {
-        const err = resp && resp.error ? resp.error : 'unknown error';
-        alert('Could not start capture: ' + err);
-        statusEl.textContent = 'Failed';
-        console.error('start-capture response:', resp);
-      }
+      const resp = await chrome.runtime.sendMessage(msg);
+      if (resp && resp.success) return resp;
+      const err = resp && resp.error ? resp.error : 'unknown error';
+      statusEl.textContent = 'Could not start capture: ' + err;
+      console.error(msg.action + ' response:', resp);
     } catch (e) {
       console.error('popup -> background error:', e);
-      alert('Message failed: ' + (e && e.message ? e.message : e));
-      statusEl.textContent = 'Error';
+      statusEl.textContent = 'Message failed: ' + (e && e.message ? e.message : e);
+    }
+    return null;
+  }
+
+  // progress of the capture in the active tab (contentScript.js -> background.js 'capture-status')
+  const progressEl = document.getElementById("progress");
+  const runControls = document.getElementById("runControls");
+  const pauseBtn = document.getElementById("pauseRun");
+  const cancelBtn = document.getElementById("cancelRun");
+  let activeTabId = null;
+
+  function renderStatus(status) {
+    if (!status || !progressEl) return;
+    progressEl.hidden = !status.running;
+    runControls.hidden = !status.running;
+    if (status.running) {
+      if (status.total) {
+        progressEl.max = status.total;
+        progressEl.value = Math.min(status.tiles || 0, status.total);
+      } else {
+        progressEl.removeAttribute("value"); // indeterminate
+      }
+      pauseBtn.textContent = status.paused ? "Resume" : "Pause";
+      statusEl.textContent = (status.paused ? "Paused — " : "") + (status.text || status.phase);
+    } else if (status.phase === 'done') {
+      statusEl.textContent = "Done — saved to the history.";
+    } else if (status.phase === 'cancelled') {
+      statusEl.textContent = "Capture cancelled.";
+    } else {
+      statusEl.textContent = "Capture failed: " + (status.error || 'unknown error');
+    }
+  }
+
+  if (progressEl) {
+    chrome.runtime.sendMessage({ action: 'get-capture-status' }).then((resp) => {
+      if (!resp || !resp.success) return;
+      activeTabId = resp.tabId;
+      renderStatus(resp.status);
+    });
+    chrome.runtime.onMessage.addListener((msg) => {
+      if (msg && msg.action === 'capture-status' && msg.tabId === activeTabId) renderStatus(msg.status);
+    });
+    pauseBtn.addEventListener("click", () => {
+      chrome.runtime.sendMessage({ action: 'capture-control', command: pauseBtn.textContent === "Pause" ? 'pause' : 'resume' });
+    });
+    cancelBtn.addEventListener("click", () => {
+      statusEl.textContent = "Cancelling…";
+      chrome.runtime.sendMessage({ action: 'capture-control', command: 'cancel' });
+    });
+  }
+
+  btn.addEventListener("click", async () => {
+    const engine = engineEl ? engineEl.value : 'scroll';
+    const resp = await start({ action: 'start-capture', engine });
+    if (resp) {
+      statusEl.textContent = engine === 'debugger' && resp.engine !== 'debugger'
+        ? 'DevTools engine unavailable — fell back to scroll & stitch. Observe the tab.'
+        : 'Capture started — observe the tab.';
     }
   });
+
+  // responsive presets (settings.js DEVICE_PRESETS); the choice is synced like the output settings
+  const presetsEl = document.getElementById("devicePresets");
+  const contactSheetEl = document.getElementById("contactSheet");
+  const devicesBtn = document.getElementById("captureDevices");
+
+  function readResponsive() {
+    return {
+      presets: [...presetsEl.querySelectorAll("input:checked")].map((el) => el.value),
+      contactSheet: contactSheetEl.checked
+    };
+  }
+
+  if (presetsEl) {
+    presetsEl.replaceChildren(...FPCSettings.DEVICE_PRESETS.map((p) => {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = p.id;
+      label.append(box, ` ${p.label} (${p.width}px @${p.dpr}x)`);
+      return label;
+    }));
+    FPCSettings.load().then((settings) => {
+      presetsEl.querySelectorAll("input").forEach((el) => { el.checked = settings.responsive.presets.includes(el.value); });
+      contactSheetEl.checked = settings.responsive.contactSheet;
+    });
+    [...presetsEl.querySelectorAll("input"), contactSheetEl].forEach((el) => {
+      el.addEventListener("change", () => FPCSettings.update({ responsive: readResponsive() }));
+    });
+    devicesBtn.addEventListener("click", async () => {
+      const r = readResponsive();
+      if (!r.presets.length) {
+        statusEl.textContent = 'Select at least one device size.';
+        return;
+      }
+      const resp = await start({ action: 'start-responsive-capture', ...r });
+      if (resp) statusEl.textContent = `Capturing ${r.presets.length} device size${r.presets.length === 1 ? '' : 's'} — observe the tab.`;
+    });
+  }
+
+  const libraryBtn = document.getElementById("openLibrary");
+  if (libraryBtn) {
+    libraryBtn.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
+  }
+
+  const batchBtn = document.getElementById("openBatch");
+  if (batchBtn) {
+    batchBtn.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+    });
+  }
+
+  const watchesBtn = document.getElementById("openWatches");
+  if (watchesBtn) {
+    watchesBtn.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('watches.html') });
+    });
+  }
+
+  const settingsBtn = document.getElementById("openSettings");
+  if (settingsBtn) {
+    settingsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+  }
+
+  // region / element modes need the page, so get out of the way once the picker is up
+  document.querySelectorAll("button[data-action]").forEach((modeBtn) => {
+    modeBtn.addEventListener("click", async () => {
+      const resp = await start({ action: modeBtn.dataset.action });
+      if (resp) window.close();
+    });
+  });
 })();
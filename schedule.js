@@ -0,0 +1,131 @@
+// schedule.js — when a watched page is captured again (background.js watches, watches.html)
+// A schedule is one string:
+// - '@hourly', '@daily', '@weekly'
+// - '@every 30m' / '@every 6h' / '@every 2d': fixed interval after the previous run
+// - five-field cron 'minute hour day-of-month month day-of-week' in local time, with *, lists,
+//   ranges, steps and month/day names ('0 9 * * mon-fri', '*/30 8-18 * * *')
+// Loaded by background.js (module import) and watches.html.
+
+(() => {
+  if (self.FPCSchedule) return;
+
+  const MIN_EVERY_MINUTES = 5;
+  const ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@weekly': '0 0 * * 0' };
+  const UNITS = { m: 60000, h: 3600000, d: 86400000 };
+  const NAMES = {
+    month: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    weekday: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+  };
+  const FIELDS = [
+    { key: 'minute', min: 0, max: 59 },
+    { key: 'hour', min: 0, max: 23 },
+    { key: 'day', min: 1, max: 31 },
+    { key: 'month', min: 1, max: 12 },
+    { key: 'weekday', min: 0, max: 7 } // 0 and 7 are Sunday
+  ];
+  // cron: the first matching minute is searched at most this far ahead
+  const HORIZON_MS = 5 * 366 * 86400000;
+
+  // Throws an Error that names the bad part; returns { every } (ms) or { cron } (per-field Sets)
+  function parse(text) {
+    const s = String(text || '').trim().toLowerCase();
+    const every = /^@every\s+(\d+)\s*([mhd])$/.exec(s);
+    if (every) {
+      const ms = Number(every[1]) * UNITS[every[2]];
+      if (ms < MIN_EVERY_MINUTES * 60000) throw new Error(`intervals below ${MIN_EVERY_MINUTES} minutes are not supported`);
+      return { every: ms };
+    }
+    const expr = ALIASES[s] || s;
+    const parts = expr.split(/\s+/);
+    if (parts.length !== 5) throw new Error('expected "@hourly", "@daily", "@weekly", "@every <n>m|h|d" or five cron fields');
+    const cron = {};
+    FIELDS.forEach((f, i) => { cron[f.key] = parseField(parts[i], f); });
+    if (cron.weekday.has(7)) cron.weekday.add(0);
+    // standard cron: with both day fields restricted, either one matching is enough
+    cron.anyDay = parts[2] === '*' || parts[4] === '*';
+    return { cron };
+  }
+
+  function parseField(text, f) {
+    const set = new Set();
+    const value = (v) => {
+      const names = NAMES[f.key];
+      const n = names && names.includes(v) ? names.indexOf(v) + (f.key === 'month' ? 1 : 0) : Number(v);
+      if (!Number.isInteger(n) || n < f.min || n > f.max) throw new Error(`${f.key}: "${v}" is not between ${f.min} and ${f.max}`);
+      return n;
+    };
+    for (const item of text.split(',')) {
+      const m = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/.exec(item);
+      if (!m) throw new Error(`${f.key}: cannot read "${item}"`);
+      const step = m[2] ? Number(m[2]) : 1;
+      if (step < 1) throw new Error(`${f.key}: step must be at least 1`);
+      let lo = f.min, hi = f.max;
+      if (m[1] !== '*') {
+        const [a, b] = m[1].split('-');
+        lo = value(a);
+        hi = b !== undefined ? value(b) : m[2] ? f.max : lo;
+        if (hi < lo) throw new Error(`${f.key}: range "${m[1]}" runs backwards`);
+      }
+      for (let v = lo; v <= hi; v += step) set.add(v);
+    }
+    return set;
+  }
+
+  // Next run after `after` (ms); `lastRun` is where fixed intervals count from
+  function next(text, after = Date.now(), lastRun = null) {
+    const p = parse(text);
+    if (p.every) return Math.max(after + 60000, (lastRun || after) + p.every);
+    const c = p.cron;
+    const d = new Date(after);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    while (d.getTime() - after < HORIZON_MS) {
+      if (!c.month.has(d.getMonth() + 1)) {
+        d.setMonth(d.getMonth() + 1, 1);
+        d.setHours(0, 0, 0, 0);
+      } else if (!dayMatches(c, d)) {
+        d.setDate(d.getDate() + 1);
+        d.setHours(0, 0, 0, 0);
+      } else if (!c.hour.has(d.getHours())) {
+        d.setHours(d.getHours() + 1, 0, 0, 0);
+      } else if (!c.minute.has(d.getMinutes())) {
+        d.setMinutes(d.getMinutes() + 1, 0, 0);
+      } else {
+        return d.getTime();
+      }
+    }
+    throw new Error('the schedule never fires');
+  }
+
+  function dayMatches(c, d) {
+    const dom = c.day.has(d.getDate()), dow = c.weekday.has(d.getDay());
+    return c.anyDay ? dom && dow : dom || dow;
+  }
+
+  // Short human-readable form for the watch list
+  function describe(text) {
+    const s = String(text || '').trim().toLowerCase();
+    const every = /^@every\s+(\d+)\s*([mhd])$/.exec(s);
+    if (every) {
+      const unit = { m: 'minute', h: 'hour', d: 'day' }[every[2]];
+      return every[1] === '1' ? `every ${unit}` : `every ${every[1]} ${unit}s`;
+    }
+    if (s === '@hourly') return 'hourly';
+    if (s === '@daily') return 'daily at 00:00';
+    if (s === '@weekly') return 'weekly (Sunday 00:00)';
+    const daily = /^(\d{1,2}) (\d{1,2}) \* \* \*$/.exec(s);
+    if (daily) return `daily at ${daily[2].padStart(2, '0')}:${daily[1].padStart(2, '0')}`;
+    return `cron ${s}`;
+  }
+
+  function validate(text) {
+    try {
+      next(text);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  self.FPCSchedule = { parse, next, describe, validate };
+})();
@@ -0,0 +1,176 @@
+// settings.js — user settings in chrome.storage.sync
+// - Defaults + metadata for every tuning knob (CFG in contentScript.js, retries in background.js)
+// - Global settings under one key, per-site overrides under 'fpc_site:<hostname>'
+// - Device presets for responsive captures (several viewport widths in one run)
+// - Per-site sticky-band rules: selectors to always hide / keep (contentScript.js review step)
+// Loaded by background.js (module import), the content script, popup, options, viewer and offscreen pages.
+
+(() => {
+  if (self.FPCSettings) return;
+
+  const SYNC_KEY = 'fpc_settings';
+  const SITE_PREFIX = 'fpc_site:';
+
+  // Content-script knobs (CFG). type defaults to 'number'.
+  const CAPTURE_KNOBS = [
+    { key: 'minCaptureGapMs', label: 'Minimum gap between tile captures', unit: 'ms', def: 550, min: 0, max: 5000 },
+    { key: 'captureRetries', label: 'Tile capture retries', def: 3, min: 1, max: 10 },
+    { key: 'captureRetryBaseMs', label: 'Tile retry backoff base', unit: 'ms', def: 280, min: 0, max: 5000 },
+    { key: 'domStableWindowMs', label: 'DOM quiet window', unit: 'ms', def: 800, min: 0, max: 10000 },
+    { key: 'domStableTimeoutMs', label: 'DOM stability timeout', unit: 'ms', def: 4000, min: 0, max: 60000 },
+    { key: 'viewportSettleMs', label: 'Settle time after scrolling', unit: 'ms', def: 250, min: 0, max: 10000 },
+    // output is chunked at the canvas limits, so this is only a runaway guard
+    { key: 'maxTiles', label: 'Maximum tiles', def: 400, min: 1, max: 2000 },
+    // Chrome: 16384² px per canvas; the side limit is probed at runtime
+    { key: 'maxCanvasArea', label: 'Maximum canvas area', unit: 'px²', def: 268435456, min: 1048576, max: 1073741824 },
+    { key: 'bottomStableChecks', label: 'Footer sweep: stable checks', def: 6, min: 1, max: 50 },
+    { key: 'bottomStableIntervalMs', label: 'Footer sweep: check interval', unit: 'ms', def: 350, min: 50, max: 5000 },
+    // hamming distance below this => duplicate tile
+    { key: 'phashNearDupe', label: 'Duplicate tile threshold (pHash distance)', def: 5, min: 0, max: 64 },
+    // extra CSS px of overlap per step so seams can be matched
+    { key: 'seamOverlapPx', label: 'Seam overlap', unit: 'px', def: 64, min: 0, max: 400 },
+    // NCC below this => trust scroll offsets instead
+    { key: 'seamMinScore', label: 'Minimum seam match confidence', def: 0.92, min: 0, max: 1, step: 0.01 },
+    // expansion before capture (contentScript.js expandContent)
+    { key: 'loadMoreClicks', label: '"Load more" clicks before capture (0 = off)', def: 0, min: 0, max: 100 },
+    { key: 'openDetails', label: 'Open collapsed details/accordions', type: 'bool', def: false },
+    { key: 'eagerImages', label: 'Load lazy images before capture', type: 'bool', def: true },
+    { key: 'imageDecodeTimeoutMs', label: 'Image decode wait', unit: 'ms', def: 5000, min: 0, max: 60000 },
+    { key: 'virtualLists', label: 'Virtualized lists: scroll down to the end instead of jumping there', type: 'bool', def: true },
+    // grow iframes to their content height so the whole frame is captured in place
+    { key: 'expandFrames', label: 'Capture iframes at full height', type: 'bool', def: true },
+    { key: 'reviewBands', label: 'Review sticky headers/overlays before capture', type: 'bool', def: false },
+    { key: 'debugHud', label: 'Show progress HUD', type: 'bool', def: true }
+  ];
+
+  // background.js knobs (captureVisibleTab)
+  const BACKGROUND_KNOBS = [
+    { key: 'captureRetries', label: 'captureVisibleTab retries', def: 3, min: 1, max: 10 },
+    { key: 'captureRetryDelayMs', label: 'captureVisibleTab retry delay', unit: 'ms', def: 250, min: 0, max: 5000 }
+  ];
+
+  const KNOBS = { capture: CAPTURE_KNOBS, background: BACKGROUND_KNOBS };
+
+  // Responsive captures (background.js): CSS viewport size and device pixel ratio emulated per preset
+  const DEVICE_PRESETS = [
+    { id: 'mobile', label: 'Mobile', width: 375, height: 812, dpr: 3, mobile: true },
+    { id: 'tablet', label: 'Tablet', width: 768, height: 1024, dpr: 2, mobile: true },
+    { id: 'desktop', label: 'Desktop', width: 1440, height: 900, dpr: 1, mobile: false },
+    { id: 'wide', label: 'Wide', width: 1920, height: 1080, dpr: 1, mobile: false }
+  ];
+
+  const fromKnobs = (knobs) => Object.fromEntries(knobs.map(k => [k.key, k.def]));
+
+  // output: only what the user changed; FPCExport.normalize() fills in the rest
+  const DEFAULTS = {
+    capture: fromKnobs(CAPTURE_KNOBS),
+    background: fromKnobs(BACKGROUND_KNOBS),
+    output: {},
+    responsive: { presets: DEVICE_PRESETS.map(p => p.id), contactSheet: true }
+  };
+
+  // Keep known keys only, coerce and clamp to the knob's range
+  function sanitize(section, values) {
+    const out = {};
+    for (const k of KNOBS[section] || []) {
+      if (values == null || !(k.key in values) || values[k.key] === '' || values[k.key] == null) continue;
+      if (k.type === 'bool') { out[k.key] = !!values[k.key]; continue; }
+      const n = Number(values[k.key]);
+      if (!Number.isFinite(n)) continue;
+      out[k.key] = Math.min(k.max, Math.max(k.min, n));
+    }
+    return out;
+  }
+
+  // Known preset ids only, in preset order
+  function sanitizeResponsive(values) {
+    const out = {};
+    if (values && Array.isArray(values.presets)) out.presets = DEVICE_PRESETS.map(p => p.id).filter(id => values.presets.includes(id));
+    if (values && 'contactSheet' in values) out.contactSheet = !!values.contactSheet;
+    return out;
+  }
+
+  function merge(base, patch) {
+    return {
+      capture: { ...base.capture, ...sanitize('capture', patch && patch.capture) },
+      background: { ...base.background, ...sanitize('background', patch && patch.background) },
+      output: { ...base.output, ...((patch && patch.output) || {}) },
+      responsive: { ...(base.responsive || DEFAULTS.responsive), ...sanitizeResponsive(patch && patch.responsive) }
+    };
+  }
+
+  async function load() {
+    const res = await chrome.storage.sync.get(SYNC_KEY);
+    return merge(DEFAULTS, res[SYNC_KEY]);
+  }
+
+  // Only values that differ from the defaults are stored, so changed defaults still reach users
+  async function save(settings) {
+    const clean = merge(DEFAULTS, settings);
+    const sparse = (section) => Object.fromEntries(Object.entries(clean[section]).filter(([k, v]) => v !== DEFAULTS[section][k]));
+    await chrome.storage.sync.set({ [SYNC_KEY]: { capture: sparse('capture'), background: sparse('background'), output: clean.output, responsive: clean.responsive } });
+    return clean;
+  }
+
+  // Shallow-merge sections into the stored global settings
+  async function update(patch) {
+    const cur = await load();
+    return save({
+      capture: { ...cur.capture, ...(patch.capture || {}) },
+      background: { ...cur.background, ...(patch.background || {}) },
+      output: { ...cur.output, ...(patch.output || {}) },
+      responsive: { ...cur.responsive, ...(patch.responsive || {}) }
+    });
+  }
+
+  // ---------- per-site overrides ----------
+  async function loadSite(hostname) {
+    const key = SITE_PREFIX + hostname;
+    const res = await chrome.storage.sync.get(key);
+    return res[key] || null;
+  }
+
+  // Sticky-band rules: { hide: [selector], keep: [selector] }, trimmed and de-duplicated
+  function sanitizeBands(bands) {
+    const list = (v) => Array.isArray(v) ? [...new Set(v.filter(x => typeof x === 'string').map(x => x.trim()).filter(Boolean))] : [];
+    return { hide: list(bands && bands.hide), keep: list(bands && bands.keep) };
+  }
+
+  // overrides: { capture?, background?, bands? } with only the overridden knobs; without `bands`
+  // the stored rules are kept. Empty => removed
+  async function saveSite(hostname, overrides) {
+    const prev = overrides && overrides.bands !== undefined ? null : await loadSite(hostname);
+    const clean = {
+      capture: sanitize('capture', overrides && overrides.capture),
+      background: sanitize('background', overrides && overrides.background),
+      bands: sanitizeBands(prev ? prev.bands : overrides && overrides.bands)
+    };
+    if (!Object.keys(clean.capture).length && !Object.keys(clean.background).length &&
+        !clean.bands.hide.length && !clean.bands.keep.length) return removeSite(hostname);
+    await chrome.storage.sync.set({ [SITE_PREFIX + hostname]: clean });
+  }
+
+  async function saveBands(hostname, bands) {
+    const site = (await loadSite(hostname)) || {};
+    return saveSite(hostname, { ...site, bands });
+  }
+
+  function removeSite(hostname) {
+    return chrome.storage.sync.remove(SITE_PREFIX + hostname);
+  }
+
+  async function listSites() {
+    const all = await chrome.storage.sync.get(null);
+    return Object.keys(all).filter(k => k.startsWith(SITE_PREFIX)).map(k => ({ hostname: k.slice(SITE_PREFIX.length), overrides: all[k] }))
+      .sort((a, b) => a.hostname.localeCompare(b.hostname));
+  }
+
+  // Effective settings for a page: global settings with that hostname's overrides on top
+  async function resolve(hostname) {
+    const global = await load();
+    const site = hostname ? await loadSite(hostname) : null;
+    return { ...merge(global, site), bands: sanitizeBands(site && site.bands), site: site ? hostname : null };
+  }
+
+  self.FPCSettings = { KNOBS, DEVICE_PRESETS, DEFAULTS, SYNC_KEY, load, save, update, loadSite, saveSite, saveBands, removeSite, listSites, resolve };
+})();
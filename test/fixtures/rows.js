@@ -0,0 +1,53 @@
+// rows.js — numbered rows for the fixture pages, each with its marker strip (markers.js).
+// <script src="/fixtures/rows.js" data-rows="300" data-into="#pane"></script> adds the rows at load;
+// pages that add rows later (infinite scroll) call FPCFixture.addRows() and leave data-rows out.
+
+(() => {
+  const ROW_PX = 40;
+  const script = document.currentScript;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    body { margin: 0; font: 14px/1.2 system-ui, sans-serif; color: #1f2937; }
+    .row { display: flex; align-items: center; gap: 12px; height: ${ROW_PX}px; background: #fff; }
+    .row:nth-child(even) { background: #f2f4f7; }
+    .strip { flex: none; align-self: stretch; width: ${FPCMarkers.STRIP_PX}px; }
+    .row span { flex: none; width: 90px; }
+    .row b { height: 12px; border-radius: 6px; background: #9fb3c8; }
+  `;
+  document.head.appendChild(style);
+
+  function strip(index) {
+    const el = document.createElement('i');
+    el.className = 'strip';
+    el.style.background = FPCMarkers.color(index);
+    return el;
+  }
+
+  // Rows differ in more than their marker (label, bar length) so seams have something to match on
+  function row(index) {
+    const el = document.createElement('div');
+    el.className = 'row';
+    const label = document.createElement('span');
+    label.textContent = `Row ${index}`;
+    const bar = document.createElement('b');
+    bar.style.width = `${10 + (index * 37) % 70}%`;
+    el.append(strip(index), label, bar);
+    return el;
+  }
+
+  function addRows(container, from, count) {
+    const frag = document.createDocumentFragment();
+    for (let i = from; i < from + count; i++) frag.appendChild(row(i));
+    container.appendChild(frag);
+  }
+
+  self.FPCFixture = { ROW_PX, strip, row, addRows };
+
+  const rows = Number(script && script.dataset.rows);
+  if (rows) {
+    document.addEventListener('DOMContentLoaded', () => {
+      addRows(document.querySelector(script.dataset.into || 'body'), 0, rows);
+    });
+  }
+})();
@@ -0,0 +1,114 @@
+// harness.js — captures one fixture through the extension's external API (background.js) and
+// checks the rows read back from the stitched output (markers.js). Called by run.mjs:
+// captureFixture({ extensionId, url, tabId?, expect }) -> { ok, failures, summary }
+// With tabId the API captures that tab (already showing `url`) instead of opening the URL itself.
+// expect: { rows, rowHeight?, header?, banner?, minParts? }; header/banner: how many times that
+// band may show up in the output (default 0).
+
+(() => {
+  const { HEADER, BANNER, STRIP_PX, decode } = FPCMarkers;
+
+  // The marker column of every part, top to bottom, as runs of one index: [{ index, height }]
+  // (non-marker pixels end a run and are skipped). Rows cut by a part boundary are joined again.
+  async function markerRuns(images, dpr) {
+    const x = Math.round((STRIP_PX / 2) * dpr);
+    const runs = [];
+    let current = null;
+    for (const dataUrl of images) {
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      const canvas = new OffscreenCanvas(1, bitmap.height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(bitmap, x, 0, 1, bitmap.height, 0, 0, 1, bitmap.height);
+      bitmap.close();
+      const px = ctx.getImageData(0, 0, 1, canvas.height).data;
+      for (let i = 0; i < px.length; i += 4) {
+        const index = decode(px[i], px[i + 1], px[i + 2]);
+        if (index === null) {
+          current = null;
+        } else if (current && current.index === index) {
+          current.height++;
+        } else {
+          current = { index, height: 1 };
+          runs.push(current);
+        }
+      }
+    }
+    return runs;
+  }
+
+  // "3", "3–7"
+  function span(from, to) {
+    return from === to ? String(from) : `${from}–${to}`;
+  }
+
+  function check(runs, expect, dpr, images) {
+    const failures = [];
+    const rows = runs.filter((r) => r.index < expect.rows);
+    const strays = runs.filter((r) => r.index >= expect.rows && r.index !== HEADER && r.index !== BANNER);
+
+    // every row once, in order
+    const seen = new Set(), missing = [], duplicates = [], outOfOrder = [];
+    let next = 0;
+    for (const r of rows) {
+      if (seen.has(r.index)) { duplicates.push(r.index); continue; }
+      seen.add(r.index);
+      if (r.index > next) missing.push(span(next, r.index - 1));
+      else if (r.index < next) outOfOrder.push(r.index);
+      next = Math.max(next, r.index + 1);
+    }
+    if (next < expect.rows) missing.push(span(next, expect.rows - 1));
+    if (missing.length) failures.push(`missing rows ${missing.join(', ')}`);
+    if (duplicates.length) failures.push(`repeated rows ${[...new Set(duplicates)].join(', ')}`);
+    if (outOfOrder.length) failures.push(`rows out of order: ${outOfOrder.join(', ')}`);
+
+    // a seam in the wrong place makes the rows around it shorter or taller (the first and last
+    // row may be cut by the page edges)
+    if (expect.rowHeight) {
+      const want = expect.rowHeight * dpr;
+      const off = rows.slice(1, -1).filter((r) => Math.abs(r.height - want) > 2);
+      if (off.length) {
+        failures.push(`rows with a bad seam (height, expected ${want}px): ` +
+          off.slice(0, 10).map((r) => `${r.index} (${r.height}px)`).join(', ') + (off.length > 10 ? ` and ${off.length - 10} more` : ''));
+      }
+    }
+
+    const count = (index) => runs.filter((r) => r.index === index).length;
+    if (count(HEADER) !== (expect.header || 0)) failures.push(`header shows up ${count(HEADER)} times, expected ${expect.header || 0}`);
+    if (count(BANNER) !== (expect.banner || 0)) failures.push(`banner shows up ${count(BANNER)} times, expected ${expect.banner || 0}`);
+    if (strays.length) failures.push(`unexpected markers ${strays.slice(0, 10).map((r) => r.index).join(', ')}`);
+    if (expect.minParts && images.length < expect.minParts) failures.push(`${images.length} part(s), expected at least ${expect.minParts}`);
+
+    return failures;
+  }
+
+  function log(text, ok) {
+    const li = document.createElement('li');
+    li.className = ok ? 'ok' : 'fail';
+    li.textContent = text;
+    document.getElementById('log').appendChild(li);
+  }
+
+  async function captureFixture({ extensionId, url, tabId, expect, timeoutMs }) {
+    const resp = await chrome.runtime.sendMessage(extensionId, {
+      action: 'capture',
+      ...(tabId != null ? { tabId } : { url }),
+      mode: 'full',
+      format: 'png',
+      options: { timeoutMs }
+    });
+    if (!resp || !resp.success) {
+      const error = `capture failed: ${resp && resp.error ? resp.error : 'no answer from the extension'}`;
+      log(`${url}: ${error}`, false);
+      return { ok: false, failures: [error], summary: '' };
+    }
+    const dpr = resp.meta.dpr || 1;
+    const runs = await markerRuns(resp.images, dpr);
+    const failures = check(runs, expect, dpr, resp.images);
+    const summary = `${resp.meta.width}×${resp.meta.height}px in ${resp.images.length} part(s), ` +
+      `${runs.filter((r) => r.index < expect.rows).length} of ${expect.rows} rows`;
+    log(`${url}: ${summary}${failures.length ? ' — ' + failures.join('; ') : ''}`, !failures.length);
+    return { ok: !failures.length, failures, summary };
+  }
+
+  self.captureFixture = captureFixture;
+})();
@@ -0,0 +1,33 @@
+// markers.js — row markers shared by the fixture pages (fixtures/rows.js) and the harness (harness.js).
+// Every fixture row starts with a 16px strip whose colour encodes the row index, so a stitched
+// capture can be read back row by row: missing rows are lost seams, repeated rows duplicate tiles.
+
+(() => {
+  if (self.FPCMarkers) return;
+
+  // indexes with a meaning of their own; rows use 0–3999
+  const HEADER = 4000;
+  const BANNER = 4001;
+  const STRIP_PX = 16;
+  // a channel may drift this far from its level and still count (colour conversion, scaling)
+  const TOLERANCE = 3;
+
+  // 4 bits of the index per channel, each on one of 16 levels in the middle of its bucket
+  function color(index) {
+    const level = (n) => (n & 15) * 16 + 8;
+    return `rgb(${level(index)}, ${level(index >> 4)}, ${level(index >> 8)})`;
+  }
+
+  // The index of one pixel, or null when it is not a marker (page background, text, images)
+  function decode(r, g, b) {
+    let index = 0;
+    for (const [i, v] of [r, g, b].entries()) {
+      const n = Math.round((v - 8) / 16);
+      if (n < 0 || n > 15 || Math.abs(v - (n * 16 + 8)) > TOLERANCE) return null;
+      index |= n << (4 * i);
+    }
+    return index;
+  }
+
+  self.FPCMarkers = { HEADER, BANNER, STRIP_PX, color, decode };
+})();
@@ -0,0 +1,302 @@
+// run.mjs — regression suite for the capture pipeline.
+// Serves the fixture pages on 127.0.0.1, starts Chromium (headless) with this extension loaded,
+// puts the server's origin on the external API allowlist (background.js) and has harness.html
+// capture every fixture; harness.js reads the row markers back from the stitched output.
+// Fixtures are captured in a window of their own with an emulated device (the API's `url` mode,
+// as watches run), and some also in a tab opened here (`tabId` mode): the scroll/stitch path
+// over captureVisibleTab that the popup and shortcuts use.
+//
+//   node test/run.mjs [--chrome <path>] [--chrome-flag <flag> ...] [--headed] [fixture ...]     (see README.md)
+//
+// Needs Node 18+ and Chromium or Chrome for Testing (found on PATH, or CHROME_PATH / --chrome);
+// branded Chrome builds ignore --load-extension, the runner then loads the extension through the
+// DevTools protocol where the browser allows it. No npm packages: the DevTools protocol is spoken
+// over --remote-debugging-pipe. Extra browser flags (--no-sandbox when running as root) come from
+// --chrome-flag or CHROME_FLAGS. Exit code 0 = all fixtures passed, 1 = failures, 2 = setup error
+// (also when the browser does not start or goes away mid-run).
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, dirname, extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST_DIR = dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = resolve(TEST_DIR, '..');
+const CAPTURE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// expect: see harness.js; via: the API modes a fixture is captured through (default ['url'])
+const FIXTURES = [
+  { name: 'sticky-header', expect: { rows: 300, rowHeight: 40, header: 1 }, via: ['url', 'tab'] },
+  { name: 'cookie-banner', expect: { rows: 200, rowHeight: 40 }, via: ['url', 'tab'] },
+  { name: 'infinite-scroll', expect: { rows: 250, rowHeight: 40 }, via: ['url', 'tab'] },
+  { name: 'inner-scroll', expect: { rows: 200, rowHeight: 40 } },
+  { name: 'reflow-images', expect: { rows: 180, rowHeight: 40 } },
+  { name: 'very-tall', expect: { rows: 2000, rowHeight: 40, minParts: 2 } }
+];
+
+const TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.mjs': 'text/javascript', '.css': 'text/css' };
+
+// ---------- fixture server ----------
+// Static files under test/, plus /slow-image?ms=&h=&n= (an SVG sent after `ms`, for reflow pages)
+function startServer() {
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname === '/slow-image') {
+      const h = Number(url.searchParams.get('h')) || 160;
+      const n = url.searchParams.get('n') || '';
+      setTimeout(() => {
+        res.writeHead(200, { 'content-type': 'image/svg+xml', 'cache-control': 'no-store' });
+        res.end(`<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="${h}">` +
+          `<rect width="1200" height="${h}" fill="#eef2f7"/><rect x="60" y="20" width="1080" height="${h - 40}" rx="8" fill="#c7d2fe"/>` +
+          `<text x="90" y="${h / 2}" font-family="sans-serif" font-size="28" fill="#312e81">Image ${n}</text></svg>`);
+      }, Number(url.searchParams.get('ms')) || 0);
+      return;
+    }
+    const file = resolve(TEST_DIR, '.' + decodeURIComponent(url.pathname));
+    if (!file.startsWith(TEST_DIR + sep) || !existsSync(file) || !TYPES[extname(file)]) {
+      res.writeHead(404);
+      res.end('not found');
+      return;
+    }
+    res.writeHead(200, { 'content-type': TYPES[extname(file)], 'cache-control': 'no-store' });
+    res.end(readFileSync(file));
+  });
+  return new Promise((ok, fail) => {
+    server.once('error', fail);
+    server.listen(0, '127.0.0.1', () => ok(server));
+  });
+}
+
+// ---------- DevTools protocol over the pipe ----------
+// Chromium reads commands from fd 3 and writes replies/events to fd 4, one JSON message per NUL.
+class Cdp {
+  constructor(proc) {
+    this.out = proc.stdio[3];
+    this.nextId = 1;
+    this.pending = new Map();
+    // Set once the browser or its pipe is gone: pending and later calls fail with it, and `failed`
+    // rejects (race it against the work that needs the browser)
+    this.closed = null;
+    let rejectFailed;
+    this.failed = new Promise((_, reject) => { rejectFailed = reject; });
+    this.failed.catch(() => {});
+    const fail = (err) => {
+      if (this.closed) return;
+      this.closed = err;
+      for (const w of this.pending.values()) w.reject(new Error(`${w.method}: ${err.message}`));
+      this.pending.clear();
+      rejectFailed(err);
+    };
+    proc.once('error', (err) => fail(new Error(`could not start the browser: ${err.message}`)));
+    proc.once('exit', (code, signal) => fail(new Error(`browser exited (${signal || `code ${code}`})`)));
+    for (const fd of [3, 4]) proc.stdio[fd].on('error', (err) => fail(new Error(`browser pipe: ${err.message}`)));
+    let buf = Buffer.alloc(0);
+    proc.stdio[4].on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let end;
+      while ((end = buf.indexOf(0)) >= 0) {
+        const msg = JSON.parse(buf.subarray(0, end).toString('utf8'));
+        buf = buf.subarray(end + 1);
+        const waiter = msg.id && this.pending.get(msg.id);
+        if (!waiter) continue;
+        this.pending.delete(msg.id);
+        if (msg.error) waiter.reject(new Error(`${waiter.method}: ${msg.error.message}`));
+        else waiter.resolve(msg.result);
+      }
+    });
+  }
+
+  send(method, params = {}, sessionId = undefined) {
+    if (this.closed) return Promise.reject(new Error(`${method}: ${this.closed.message}`));
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { method, resolve, reject });
+      this.out.write(JSON.stringify({ id, method, params, sessionId }) + '\0');
+    });
+  }
+
+  // Value of an expression (promises awaited) in the target of `sessionId`
+  async evaluate(sessionId, expression, timeoutMs = 30000) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no result after ${Math.round(timeoutMs / 1000)}s: ${expression.slice(0, 60)}`)), timeoutMs);
+    });
+    try {
+      const res = await Promise.race([
+        this.send('Runtime.evaluate', { expression, awaitPromise: true, returnByValue: true }, sessionId),
+        timeout
+      ]);
+      if (res.exceptionDetails) {
+        throw new Error(res.exceptionDetails.exception?.description || res.exceptionDetails.text);
+      }
+      return res.result.value;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function poll(fn, timeoutMs, what) {
+  const end = Date.now() + timeoutMs;
+  while (Date.now() < end) {
+    const value = await fn().catch(() => null);
+    if (value) return value;
+    await sleep(250);
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+// ---------- browser ----------
+function findChrome(flag) {
+  if (flag) return flag;
+  if (process.env.CHROME_PATH) return process.env.CHROME_PATH;
+  const names = ['chromium', 'chromium-browser', 'chrome', 'google-chrome-for-testing', 'google-chrome', 'google-chrome-stable'];
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    for (const name of names) if (existsSync(join(dir, name))) return join(dir, name);
+  }
+  return null;
+}
+
+function launch(chrome, profile, headed, flags) {
+  const args = [
+    ...flags,
+    '--remote-debugging-pipe',
+    '--enable-unsafe-extension-debugging',
+    `--user-data-dir=${profile}`,
+    `--load-extension=${EXTENSION_DIR}`,
+    `--disable-extensions-except=${EXTENSION_DIR}`,
+    '--no-first-run',
+    '--no-default-browser-check',
+    // capture windows open unfocused (background.js captureInWindow); keep them rendering
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--window-size=1440,900',
+    ...(headed ? [] : ['--headless=new']),
+    'about:blank'
+  ];
+  return spawn(chrome, args, { stdio: ['ignore', 'ignore', 'pipe', 'pipe', 'pipe'] });
+}
+
+// The extension's service worker target; loads the extension through the protocol when the
+// command line flag was ignored
+async function extensionWorker(cdp) {
+  const find = async () => {
+    const { targetInfos } = await cdp.send('Target.getTargets');
+    return targetInfos.find((t) => t.type === 'service_worker' && /^chrome-extension:\/\/[a-p]{32}\/background\.js$/.test(t.url));
+  };
+  try {
+    return await poll(find, 10000, 'the extension service worker');
+  } catch (_) {
+    await cdp.send('Extensions.loadUnpacked', { path: EXTENSION_DIR });
+    return poll(find, 10000, 'the extension service worker');
+  }
+}
+
+async function attach(cdp, targetId) {
+  const { sessionId } = await cdp.send('Target.attachToTarget', { targetId, flatten: true });
+  return sessionId;
+}
+
+// A fixture in a new tab of the browser window, with its chrome.tabs id (asked from the extension)
+async function openTab(cdp, workerSession, url) {
+  const { targetId } = await cdp.send('Target.createTarget', { url });
+  const tabId = await poll(() => cdp.evaluate(workerSession,
+    `chrome.tabs.query({}).then((tabs) => tabs.find((t) => t.url === ${JSON.stringify(url)} && t.status === 'complete')?.id ?? null)`),
+  15000, url);
+  return { targetId, tabId };
+}
+
+// ---------- main ----------
+async function main() {
+  const argv = process.argv.slice(2);
+  const opt = (name) => {
+    const i = argv.indexOf(name);
+    return i >= 0 ? argv.splice(i, 2)[1] : null;
+  };
+  const chromeFlag = opt('--chrome');
+  const flags = (process.env.CHROME_FLAGS || '').split(/\s+/).filter(Boolean);
+  for (let flag; (flag = opt('--chrome-flag'));) flags.push(flag);
+  const headed = argv.includes('--headed');
+  const only = argv.filter((a) => !a.startsWith('--'));
+  const fixtures = only.length ? FIXTURES.filter((f) => only.includes(f.name)) : FIXTURES;
+  if (!fixtures.length) throw new Error(`no fixture named ${only.join(', ')} (${FIXTURES.map((f) => f.name).join(', ')})`);
+
+  const chrome = findChrome(chromeFlag);
+  if (!chrome) throw new Error('no Chromium found; pass --chrome <path> or set CHROME_PATH');
+
+  const server = await startServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const profile = mkdtempSync(join(tmpdir(), 'fpc-test-'));
+  const proc = launch(chrome, profile, headed, flags);
+  let stderr = '';
+  proc.stdio[2].on('data', (d) => { stderr = (stderr + d).slice(-4000); });
+  proc.stdio[2].on('error', () => {});
+  const cdp = new Cdp(proc);
+
+  const run = async () => {
+    const worker = await extensionWorker(cdp);
+    const extensionId = new URL(worker.url).host;
+    const workerSession = await attach(cdp, worker.targetId);
+    await cdp.evaluate(workerSession, `chrome.storage.local.set({ fpc_external_allow: [${JSON.stringify(origin)}] }).then(() => true)`);
+
+    const { targetId } = await cdp.send('Target.createTarget', { url: `${origin}/harness.html` });
+    const page = await attach(cdp, targetId);
+    await poll(() => cdp.evaluate(page, `document.readyState === 'complete' && typeof captureFixture === 'function'`), 15000, 'harness.html');
+
+    console.log(`Extension ${extensionId}, fixtures on ${origin}\n`);
+    const runs = fixtures.flatMap((f) => (f.via || ['url']).map((via) => ({ ...f, via })));
+    let failed = 0;
+    for (const f of runs) {
+      const started = Date.now();
+      const url = `${origin}/fixtures/${f.name}.html`;
+      const req = { extensionId, url, expect: f.expect, timeoutMs: CAPTURE_TIMEOUT_MS };
+      let tab = null;
+      let res;
+      try {
+        if (f.via === 'tab') {
+          tab = await openTab(cdp, workerSession, url);
+          req.tabId = tab.tabId;
+        }
+        res = await cdp.evaluate(page, `captureFixture(${JSON.stringify(req)})`, CAPTURE_TIMEOUT_MS + 60000);
+      } catch (err) {
+        res = { ok: false, failures: [err.message], summary: '' };
+      } finally {
+        if (tab) await cdp.send('Target.closeTarget', { targetId: tab.targetId }).catch(() => {});
+      }
+      const secs = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`${res.ok ? 'ok  ' : 'FAIL'} ${`${f.name} (${f.via})`.padEnd(22)} ${res.summary} (${secs}s)`);
+      for (const line of res.failures) console.log(`       ${line}`);
+      if (!res.ok) failed++;
+    }
+    console.log(`\n${runs.length - failed} of ${runs.length} captures passed`);
+    return failed ? 1 : 0;
+  };
+
+  try {
+    return await Promise.race([run(), cdp.failed]);
+  } catch (err) {
+    // a browser that died usually said why on stderr; let it arrive
+    if (cdp.closed) await Promise.race([new Promise((r) => proc.stdio[2].once('close', r)), sleep(2000)]);
+    if (stderr) console.error(stderr.trim());
+    throw err;
+  } finally {
+    const running = () => proc.exitCode === null && proc.signalCode === null;
+    await Promise.race([cdp.send('Browser.close').catch(() => {}), sleep(5000)]);
+    if (running()) {
+      await Promise.race([new Promise((r) => proc.once('exit', r)), sleep(5000)]);
+      if (running()) proc.kill('SIGKILL');
+    }
+    server.close();
+    rmSync(profile, { recursive: true, force: true });
+  }
+}
+
+main().then((code) => process.exit(code), (err) => {
+  console.error(`run.mjs: ${err.message}`);
+  process.exit(2);
+});
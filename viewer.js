@@ -1 +1,213 @@
+// viewer.js — capture viewer and editor (viewer.html?id=<id>&part=<n>)
+// Pan/zoom/crop come from imageview.js, annotations from annotate.js, compare from compare.js;
+// everything is bundled with the extension so the viewer also works offline.
+document.addEventListener('DOMContentLoaded', async () => {
+    const imageElement = document.getElementById('capturedImage');
+    const viewerArea = document.getElementById('viewerArea');
+    const message = document.getElementById('message');
+    const cropBtn = document.getElementById('cropBtn');
+    const saveCropBtn = document.getElementById('saveCropBtn');
+    const saveFormat = document.getElementById('saveFormat');
+    const zoomLabel = document.getElementById('zoomLabel');
 
+    let view = null;
+    let annotator = null;
+
+    message.textContent = 'Fetching image from history...';
+
+    // 1. Retrieve the capture from the IndexedDB history
+    const params = new URLSearchParams(location.search);
+    const captureId = Number(params.get('id'));
+    const part = Number(params.get('part')) || 0;
+    const images = captureId ? await FPCHistory.getImages(captureId) : null;
+    const blob = images && images[part];
+
+    if (!blob) {
+        message.textContent = 'Error: No image data found. Please run the capture again.';
+        return;
+    }
+    const meta = await FPCHistory.get(captureId);
+    if (meta && meta.title) document.title = `${meta.title} — Capture Viewer`;
+
+    // Visual diff against an earlier capture of the same URL (compare.js)
+    const compare = meta ? FPCCompare.create({ current: { id: captureId, part, meta } }) : null;
+    document.getElementById('compareBtn').addEventListener('click', () => {
+        if (!compare) return;
+        selectTool(null);
+        compare.open();
+    });
+
+    // Split captures: step through the parts; each one is its own viewer URL
+    const partNav = document.getElementById('partNav');
+    const prevPartBtn = document.getElementById('prevPartBtn');
+    const nextPartBtn = document.getElementById('nextPartBtn');
+    partNav.hidden = images.length < 2;
+    document.getElementById('partLabel').textContent = `${part + 1} / ${images.length}`;
+    prevPartBtn.disabled = part <= 0;
+    nextPartBtn.disabled = part >= images.length - 1;
+    prevPartBtn.addEventListener('click', () => goToPart(part - 1));
+    nextPartBtn.addEventListener('click', () => goToPart(part + 1));
+
+    function goToPart(n) {
+        if (n < 0 || n >= images.length || n === part) return;
+        if (annotator && !annotator.isEmpty() && !confirm('Leave this part? Unsaved annotations will be lost.')) return;
+        params.set('part', String(n));
+        location.search = params.toString();
+    }
+
+    // Default the save format (and PDF paper/margins) to the synced output settings
+    const outputPrefs = FPCExport.normalize((await FPCSettings.load()).output);
+    saveFormat.value = outputPrefs.format;
+    // Crops keep the format the capture was taken in (PDF captures are stored as PNG parts)
+    const originalFormat = meta && FPCExport.FORMATS[meta.format] ? meta.format
+        : Object.keys(FPCExport.FORMATS).find((f) => FPCExport.FORMATS[f].mime === blob.type) || 'png';
+
+    message.textContent = 'Initializing viewer...';
+    imageElement.src = URL.createObjectURL(blob);
+    try {
+        await imageElement.decode();
+    } catch (err) {
+        message.textContent = 'Error: the image could not be decoded.';
+        return;
+    }
+    message.textContent = images.length > 1 ? `Ready for edit (part ${part + 1} of ${images.length}).` : 'Ready for edit.';
+
+    // 2. Pan / zoom / minimap (imageview.js)
+    view = FPCImageView.create({
+        host: viewerArea,
+        image: imageElement,
+        minimap: document.getElementById('minimap'),
+        onChange: (v) => {
+            zoomLabel.textContent = `${Math.round(v.scale * (window.devicePixelRatio || 1) * 100)}%`;
+            document.querySelectorAll('[data-fit]').forEach((btn) => btn.classList.toggle('active', btn.dataset.fit === v.mode));
+        }
+    });
+    document.getElementById('zoomInBtn').addEventListener('click', () => view.zoomBy(1.25));
+    document.getElementById('zoomOutBtn').addEventListener('click', () => view.zoomBy(0.8));
+    document.querySelectorAll('[data-fit]').forEach((btn) => {
+        btn.addEventListener('click', () => view.setMode(btn.dataset.fit));
+    });
+
+    // 3. Crop: a box in image pixels, saved at full resolution in the capture's own format
+    cropBtn.addEventListener('click', () => setCropping(!view.isCropping()));
+
+    function setCropping(on) {
+        if (on) {
+            selectTool(null); // annotating and cropping both need the mouse
+            view.startCrop();
+        } else {
+            view.stopCrop();
+        }
+        saveCropBtn.hidden = !on;
+        cropBtn.textContent = on ? '❌ Cancel Crop' : '✂️ Crop';
+    }
+
+    saveCropBtn.addEventListener('click', () => {
+        const rect = view.getCrop();
+        if (!rect) return;
+        message.textContent = 'Saving cropped image...';
+        // annotations flattened in
+        const source = annotator && !annotator.isEmpty() ? annotator.flatten() : imageElement;
+        downloadCanvas(cropCanvas(source, rect), 'cropped', originalFormat).then(() => {
+            message.textContent = `Cropped image downloaded (${rect.width}×${rect.height}, ${FPCExport.FORMATS[originalFormat].ext.toUpperCase()}).`;
+            setCropping(false);
+        }).catch((err) => {
+            message.textContent = 'Save failed: ' + (err && err.message ? err.message : err);
+        });
+    });
+
+    document.getElementById('saveBtn').addEventListener('click', () => {
+        message.textContent = 'Saving image...';
+        const canvas = annotator ? annotator.flatten() : cropCanvas(imageElement, { x: 0, y: 0, width: imageElement.naturalWidth, height: imageElement.naturalHeight });
+        downloadCanvas(canvas, 'annotated', saveFormat.value).then(() => {
+            message.textContent = 'Image downloaded.';
+        }).catch((err) => {
+            message.textContent = 'Save failed: ' + (err && err.message ? err.message : err);
+        });
+    });
+
+    // 4. Annotation layer (annotate.js) on top of the same view
+    annotator = FPCAnnotate.create({
+        image: imageElement,
+        host: viewerArea,
+        getView: () => view.getView(),
+        onChange: syncUndoButtons
+    });
+
+    document.querySelectorAll('[data-tool]').forEach((btn) => {
+        btn.addEventListener('click', () => selectTool(btn.dataset.tool === 'pan' ? null : btn.dataset.tool));
+    });
+    document.getElementById('annotColor').addEventListener('input', (e) => annotator.setColor(e.target.value));
+    document.getElementById('annotSize').addEventListener('change', (e) => annotator.setSize(e.target.value));
+    document.getElementById('undoBtn').addEventListener('click', () => annotator.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => annotator.redo());
+    syncUndoButtons();
+
+    // Keyboard: undo/redo, +/- zoom, 0 fit width, 1 actual size, arrows/PageUp/PageDown pan, [ ] parts, Esc leaves crop
+    document.addEventListener('keydown', (e) => {
+        if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName) || !document.getElementById('comparePanel').hidden) return;
+        const key = e.key.toLowerCase();
+        if (e.ctrlKey || e.metaKey) {
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); annotator.undo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); annotator.redo(); }
+            else if (key === '=' || key === '+') { e.preventDefault(); view.zoomBy(1.25); }
+            else if (key === '-') { e.preventDefault(); view.zoomBy(0.8); }
+            return;
+        }
+        const page = viewerArea.clientHeight * 0.9;
+        const pans = {
+            arrowup: [0, 60], arrowdown: [0, -60], arrowleft: [60, 0], arrowright: [-60, 0],
+            pageup: [0, page], pagedown: [0, -page], ' ': [0, e.shiftKey ? page : -page]
+        };
+        if (pans[key]) view.panBy(...pans[key]);
+        else if (key === '+' || key === '=') view.zoomBy(1.25);
+        else if (key === '-') view.zoomBy(0.8);
+        else if (key === '0') view.setMode('fit-width');
+        else if (key === '1') view.setMode('actual');
+        else if (key === '[') goToPart(part - 1);
+        else if (key === ']') goToPart(part + 1);
+        else if (key === 'escape' && view.isCropping()) setCropping(false);
+        else return;
+        e.preventDefault();
+    });
+
+    function selectTool(tool) {
+        if (!annotator) return;
+        if (tool && view.isCropping()) setCropping(false);
+        annotator.setTool(tool);
+        // while annotating, mouse drags draw instead of panning the image
+        view.setPanEnabled(!tool);
+        document.querySelectorAll('[data-tool]').forEach((btn) => {
+            btn.classList.toggle('active', (btn.dataset.tool === 'pan' ? null : btn.dataset.tool) === tool);
+        });
+    }
+
+    function syncUndoButtons() {
+        document.getElementById('undoBtn').disabled = !annotator.canUndo();
+        document.getElementById('redoBtn').disabled = !annotator.canRedo();
+    }
+
+    // rect: { x, y, width, height } in natural image pixels (imageview.js getCrop())
+    function cropCanvas(source, rect) {
+        const c = document.createElement('canvas');
+        c.width = Math.max(1, rect.width);
+        c.height = Math.max(1, rect.height);
+        c.getContext('2d').drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+        return c;
+    }
+
+    // Encode in the given format and download
+    async function downloadCanvas(canvas, prefix, format) {
+        const output = FPCExport.normalize({ ...outputPrefs, format });
+        // source metadata of the capture; its text layer no longer lines up with an edited image
+        const encoded = await FPCExport.encode(canvas, output, meta && { ...meta, text: undefined });
+        const url = URL.createObjectURL(encoded);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${prefix}_${Date.now()}.${FPCExport.FORMATS[output.format].ext}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 2000);
+    }
+});
@@ -0,0 +1,310 @@
+// watches.js — manage watched pages (background.js watches): add/edit, run now, pause, delete,
+// and the capture timeline of the selected watch (history records tagged with its id)
+(function () {
+  const form = document.getElementById('form');
+  const formTitle = document.getElementById('formTitle');
+  const urlEl = document.getElementById('url');
+  const kindEl = document.getElementById('scheduleKind');
+  const dailyEl = document.getElementById('dailyAt');
+  const cronEl = document.getElementById('cron');
+  const scheduleText = document.getElementById('scheduleText');
+  const deviceEl = document.getElementById('device');
+  const thresholdEl = document.getElementById('threshold');
+  const saveBtn = document.getElementById('save');
+  const cancelEditBtn = document.getElementById('cancelEdit');
+  const formStatus = document.getElementById('formStatus');
+  const empty = document.getElementById('empty');
+  const list = document.getElementById('list');
+  const rows = document.getElementById('rows');
+  const timelineSection = document.getElementById('timelineSection');
+  const timelineTitle = document.getElementById('timelineTitle');
+  const timeline = document.getElementById('timeline');
+
+  let watches = [];
+  let editing = null;   // id of the watch in the form
+  let selected = null;  // id of the watch whose timeline is shown
+  let thumbUrls = [];
+  let lastRunShown = null; // last.at of the selected watch when its timeline was built
+
+  for (const p of FPCSettings.DEVICE_PRESETS) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = `${p.label} (${p.width}×${p.height} @${p.dpr}x)`;
+    deviceEl.appendChild(opt);
+  }
+  deviceEl.value = 'desktop';
+
+  function send(msg) {
+    return chrome.runtime.sendMessage(msg).then((resp) => {
+      if (!resp || !resp.success) throw new Error(resp && resp.error ? resp.error : 'no answer from the extension');
+      return resp;
+    });
+  }
+
+  function when(ts) {
+    return ts ? new Date(ts).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' }) : '—';
+  }
+
+  // ---------- form ----------
+  const PRESET_SCHEDULES = [...kindEl.options].map((o) => o.value).filter((v) => v.startsWith('@'));
+
+  function scheduleFromForm() {
+    if (kindEl.value === 'daily') {
+      const [h, m] = (dailyEl.value || '09:00').split(':').map(Number);
+      return `${m} ${h} * * *`;
+    }
+    if (kindEl.value === 'custom') return cronEl.value.trim();
+    return kindEl.value;
+  }
+
+  function scheduleToForm(schedule) {
+    const daily = /^(\d{1,2}) (\d{1,2}) \* \* \*$/.exec(schedule);
+    if (PRESET_SCHEDULES.includes(schedule)) {
+      kindEl.value = schedule;
+    } else if (daily) {
+      kindEl.value = 'daily';
+      dailyEl.value = `${daily[2].padStart(2, '0')}:${daily[1].padStart(2, '0')}`;
+    } else {
+      kindEl.value = 'custom';
+      cronEl.value = schedule;
+    }
+    updateScheduleText();
+  }
+
+  // Description and next run of what is in the form, or why it is not a schedule
+  function updateScheduleText() {
+    dailyEl.hidden = kindEl.value !== 'daily';
+    cronEl.hidden = kindEl.value !== 'custom';
+    const schedule = scheduleFromForm();
+    const bad = FPCSchedule.validate(schedule);
+    scheduleText.textContent = bad
+      ? (schedule ? bad : '')
+      : `${FPCSchedule.describe(schedule)} · next ${when(FPCSchedule.next(schedule))}`;
+    return !bad;
+  }
+
+  function resetForm() {
+    editing = null;
+    form.reset();
+    deviceEl.value = 'desktop';
+    formTitle.textContent = 'Watch a page';
+    saveBtn.textContent = 'Add watch';
+    cancelEditBtn.hidden = true;
+    updateScheduleText();
+  }
+
+  function edit(w) {
+    editing = w.id;
+    urlEl.value = w.url;
+    scheduleToForm(w.schedule);
+    deviceEl.value = w.device;
+    thresholdEl.value = w.threshold;
+    formTitle.textContent = 'Edit watch';
+    saveBtn.textContent = 'Save watch';
+    cancelEditBtn.hidden = false;
+    formStatus.textContent = '';
+    urlEl.focus();
+  }
+
+  [kindEl, dailyEl, cronEl].forEach((el) => el.addEventListener('input', updateScheduleText));
+  cancelEditBtn.addEventListener('click', resetForm);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    formStatus.className = '';
+    if (!updateScheduleText()) {
+      formStatus.className = 'error';
+      formStatus.textContent = 'Fix the schedule first.';
+      return;
+    }
+    const prev = editing && watches.find((w) => w.id === editing);
+    try {
+      const { watch } = await send({
+        action: 'watch-save',
+        watch: {
+          id: editing || undefined,
+          url: urlEl.value,
+          schedule: scheduleFromForm(),
+          device: deviceEl.value,
+          threshold: thresholdEl.value,
+          enabled: prev ? prev.enabled : true
+        }
+      });
+      formStatus.textContent = `Saved. Next capture ${when(watch.nextRun)}.`;
+      resetForm();
+    } catch (err) {
+      formStatus.className = 'error';
+      formStatus.textContent = err.message;
+    }
+  });
+
+  // ---------- list ----------
+  function lastRunCell(w) {
+    const td = document.createElement('td');
+    if (w.running) {
+      td.className = 'status-running';
+      td.textContent = 'Capturing…';
+      return td;
+    }
+    if (!w.last) {
+      td.textContent = 'Never';
+      return td;
+    }
+    td.className = w.last.success ? 'status-ok' : 'status-failed';
+    td.textContent = when(w.last.at) + (w.last.success ? '' : ` · failed: ${w.last.error}`);
+    if (w.last.distance != null) td.append(` · distance ${w.last.distance}`);
+    if (w.unseen) {
+      const flag = document.createElement('span');
+      flag.className = 'changed';
+      flag.textContent = 'changed';
+      td.append(' ', flag);
+    }
+    return td;
+  }
+
+  function button(label, cls, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    if (cls) b.className = cls;
+    b.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick(b);
+    });
+    return b;
+  }
+
+  function render() {
+    empty.hidden = watches.length > 0;
+    list.hidden = watches.length === 0;
+    rows.replaceChildren(...watches.map((w) => {
+      const tr = document.createElement('tr');
+      tr.classList.toggle('selected', w.id === selected);
+      tr.classList.toggle('paused', !w.enabled);
+      tr.title = 'Show the capture timeline';
+      tr.addEventListener('click', () => select(w.id));
+
+      const url = document.createElement('td');
+      url.className = 'url';
+      url.textContent = w.url;
+      const schedule = document.createElement('td');
+      const device = FPCSettings.DEVICE_PRESETS.find((p) => p.id === w.device);
+      schedule.textContent = FPCSchedule.describe(w.schedule) + (device ? ` · ${device.label}` : '') +
+        (w.threshold ? ` · threshold ${w.threshold}` : '');
+      const next = document.createElement('td');
+      next.textContent = w.enabled ? when(w.nextRun) : 'Paused';
+
+      const acts = document.createElement('td');
+      acts.className = 'acts';
+      acts.append(
+        button('Run now', '', async (b) => {
+          b.disabled = true;
+          await send({ action: 'watch-run', id: w.id }).catch((err) => alert(err.message));
+        }),
+        ' ',
+        button(w.enabled ? 'Pause' : 'Resume', 'secondary', () => {
+          send({ action: 'watch-save', watch: { ...w, enabled: !w.enabled } }).catch((err) => alert(err.message));
+        }),
+        ' ',
+        button('Edit', 'secondary', () => edit(w)),
+        ' ',
+        button('Delete', 'danger', () => {
+          if (!confirm(`Stop watching ${w.url}? Its captures stay in the history.`)) return;
+          if (editing === w.id) resetForm();
+          if (selected === w.id) select(null);
+          send({ action: 'watch-delete', id: w.id }).catch((err) => alert(err.message));
+        })
+      );
+      if (w.running) acts.firstChild.disabled = true;
+
+      tr.append(url, schedule, next, lastRunCell(w), acts);
+      return tr;
+    }));
+  }
+
+  // ---------- timeline ----------
+  function select(id) {
+    selected = id;
+    render();
+    renderTimeline();
+    const w = watches.find((x) => x.id === id);
+    if (w && w.unseen) send({ action: 'watch-seen', id }).catch(() => {});
+  }
+
+  async function renderTimeline() {
+    thumbUrls.forEach((u) => URL.revokeObjectURL(u));
+    thumbUrls = [];
+    const w = watches.find((x) => x.id === selected);
+    timelineSection.hidden = !w;
+    if (!w) {
+      timeline.replaceChildren();
+      return;
+    }
+    lastRunShown = w.last ? w.last.at : null;
+    timelineTitle.textContent = `Timeline — ${w.url}`;
+    const captures = (await FPCHistory.list()).filter((r) => r.watch && r.watch.id === w.id);
+    if (!captures.length) {
+      const li = document.createElement('li');
+      li.textContent = 'No captures yet.';
+      timeline.replaceChildren(li);
+      return;
+    }
+    timeline.replaceChildren(...captures.map((rec) => {
+      const li = document.createElement('li');
+      if (rec.watch.changed) li.className = 'changed-run';
+      const a = document.createElement('a');
+      a.href = chrome.runtime.getURL(`viewer.html?id=${rec.id}`);
+      a.target = '_blank';
+      a.title = rec.title || rec.url;
+      if (rec.thumb) {
+        const img = document.createElement('img');
+        const u = URL.createObjectURL(rec.thumb);
+        thumbUrls.push(u);
+        img.src = u;
+        img.alt = '';
+        a.appendChild(img);
+      }
+      const meta = document.createElement('div');
+      meta.className = 'when';
+      meta.textContent = when(rec.createdAt);
+      if (rec.watch.changed) {
+        const flag = document.createElement('span');
+        flag.className = 'changed';
+        flag.textContent = 'changed';
+        meta.append(' ', flag);
+      }
+      const dist = document.createElement('div');
+      dist.className = 'dist';
+      dist.textContent = rec.watch.distance != null ? `distance ${rec.watch.distance} from the previous` : 'first capture';
+      a.append(meta, dist);
+      li.appendChild(a);
+      return li;
+    }));
+  }
+
+  function update(next) {
+    watches = next;
+    if (selected && !watches.some((w) => w.id === selected)) selected = null;
+    render();
+    const w = watches.find((x) => x.id === selected);
+    // a run of the selected watch finished: its capture joins the timeline, and it has been seen
+    if (w && !w.running && w.last && w.last.at !== lastRunShown) {
+      renderTimeline();
+      if (w.unseen) send({ action: 'watch-seen', id: w.id }).catch(() => {});
+    } else if (!w && !timelineSection.hidden) {
+      renderTimeline();
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg && msg.action === 'watch-progress' && msg.watches) update(msg.watches);
+  });
+
+  // the "next run" times drift out of date while the page stays open
+  setInterval(render, 60 * 1000);
+
+  resetForm();
+  send({ action: 'watch-list' }).then((resp) => update(resp.watches)).catch((err) => {
+    empty.textContent = 'Could not load the watches: ' + err.message;
+  });
+})();
@@ -0,0 +1,78 @@
+// zip.js — minimal ZIP writer for batch downloads
+// - Entries are stored uncompressed (the images are already compressed), CRC-32 per entry
+// - UTF-8 names (general purpose flag bit 11), no ZIP64: fine below 4 GB / 65535 entries
+// Loaded by batch.html, after exporter.js.
+
+(() => {
+  if (self.FPCZip) return;
+
+  const { crc32 } = FPCExport; // exporter.js (PNG chunks use the same CRC-32)
+
+  // MS-DOS time/date of a JS Date (local time, 2 s resolution)
+  function dosDateTime(d) {
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const date = (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    return { time, date };
+  }
+
+  function header(size) {
+    const buf = new Uint8Array(size);
+    return { buf, view: new DataView(buf.buffer) };
+  }
+
+  // files: [{ name, blob, date? }]; resolves with an application/zip Blob
+  async function zip(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const f of files) {
+      const name = new TextEncoder().encode(f.name);
+      const data = new Uint8Array(await f.blob.arrayBuffer());
+      const crc = crc32(data);
+      const { time, date } = dosDateTime(f.date || new Date());
+
+      const local = header(30);
+      local.view.setUint32(0, 0x04034b50, true);
+      local.view.setUint16(4, 20, true);        // version needed
+      local.view.setUint16(6, 0x0800, true);    // UTF-8 names
+      local.view.setUint16(8, 0, true);         // stored
+      local.view.setUint16(10, time, true);
+      local.view.setUint16(12, date, true);
+      local.view.setUint32(14, crc, true);
+      local.view.setUint32(18, data.length, true);
+      local.view.setUint32(22, data.length, true);
+      local.view.setUint16(26, name.length, true);
+      parts.push(local.buf, name, data);
+
+      const cd = header(46);
+      cd.view.setUint32(0, 0x02014b50, true);
+      cd.view.setUint16(4, 20, true);           // version made by
+      cd.view.setUint16(6, 20, true);
+      cd.view.setUint16(8, 0x0800, true);
+      cd.view.setUint16(10, 0, true);
+      cd.view.setUint16(12, time, true);
+      cd.view.setUint16(14, date, true);
+      cd.view.setUint32(16, crc, true);
+      cd.view.setUint32(20, data.length, true);
+      cd.view.setUint32(24, data.length, true);
+      cd.view.setUint16(28, name.length, true);
+      cd.view.setUint32(42, offset, true);
+      central.push(cd.buf, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const cdSize = central.reduce((n, b) => n + b.length, 0);
+    const end = header(22);
+    end.view.setUint32(0, 0x06054b50, true);
+    end.view.setUint16(8, files.length, true);
+    end.view.setUint16(10, files.length, true);
+    end.view.setUint32(12, cdSize, true);
+    end.view.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buf], { type: 'application/zip' });
+  }
+
+  self.FPCZip = { zip, crc32 };
+})();